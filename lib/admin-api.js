@@ -0,0 +1,593 @@
+/*
+ * Admin API
+ *
+ * REST routes used by staff to manage the menu catalog without touching code,
+ * moderate customer reviews, look after the daily special subscriptions,
+ * mark orders picked up, create loyalty members, audit their points, get the
+ * day's check-in code and verify reward codes at the counter, answer
+ * customers who asked for a person, work through the support tickets opened
+ * for photos, voice messages and files customers sent, see whether messages
+ * were delivered and read, and inspect and replay messages the Send API
+ * refused (dead letters).
+ * Everything under /admin/api requires the admin token (see admin-auth.js).
+ * Menu changes are applied to the in-memory catalog right away, so the next
+ * carousel sent by the bot already reflects them.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  adminAuth = require('./admin-auth'),
+  bodyParser = require('body-parser'),
+  deadLetters = require('./dead-letters'),
+  express = require('express'),
+  handoffs = require('./handoffs'),
+  hours = require('./hours'),
+  loyalty = require('./loyalty'),
+  members = require('./members'),
+  menu = require('./menu'),
+  messageStatus = require('./message-status'),
+  orders = require('./orders'),
+  reviews = require('./reviews'),
+  subscriptions = require('./subscriptions'),
+  supportTickets = require('./support-tickets');
+
+// Tags that decide which carousel an item shows up in.
+const SPECIAL_TAGS = ['special', 'daily', 'party'];
+
+const ITEM_FIELDS = ['id', 'categoryId', 'title', 'description', 'price',
+  'imageUrl', 'url', 'tags', 'retired'];
+
+const MEMBER_ERRORS = {
+  email: "email must be a valid email address",
+  name: "name must be a non-empty string",
+  password: "password must be a string of at least 8 characters"
+};
+
+/*
+ * Check the fields of an item create or update request. Returns an error
+ * message, or null when the fields are fine. On create the title and category
+ * are required.
+ *
+ */
+function validateItem(fields, isNew) {
+  var unknown = Object.keys(fields).filter(function(key) {
+    return ITEM_FIELDS.indexOf(key) === -1;
+  });
+  if (unknown.length) {
+    return "Unknown field(s): " + unknown.join(', ');
+  }
+
+  if (isNew || fields.title !== undefined) {
+    if (typeof fields.title !== 'string' || !fields.title.trim()) {
+      return "title must be a non-empty string";
+    }
+  }
+
+  if (isNew || fields.categoryId !== undefined) {
+    if (!menu.getCategory(fields.categoryId)) {
+      return "categoryId must be one of: " + menu.getCategories().map(
+        function(category) { return category.id; }).join(', ');
+    }
+  }
+
+  if (fields.price !== undefined &&
+      (typeof fields.price !== 'number' || !isFinite(fields.price) ||
+       fields.price < 0)) {
+    return "price must be a non-negative number";
+  }
+
+  if (fields.tags !== undefined && !isStringArray(fields.tags)) {
+    return "tags must be an array of strings";
+  }
+
+  if (fields.retired !== undefined && typeof fields.retired !== 'boolean') {
+    return "retired must be a boolean";
+  }
+
+  return null;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(function(entry) {
+    return typeof entry === 'string';
+  });
+}
+
+/*
+ * Options:
+ *   adminToken - token required on every request
+ *   replay     - function(messageData, callback) sending a message again
+ *   send       - function(messageData, callback) sending a staff reply
+ *   endHandoff - function(psid) giving a conversation in human mode back to
+ *                the bot
+ *   orderPickedUp - function(order) awarding the loyalty points for an order
+ *                   picked up, returning the ledger entry or null
+ *   pushDailySpecial - function(dateKey, options, callback) sending the daily
+ *                      special to the subscribers, returning who it is
+ *                      being sent to
+ *   unknownPayloads - function returning the payloads received without a
+ *                     route (see payload-router.js)
+ *
+ */
+function createAdminApi(options) {
+  var router = express.Router();
+
+  router.use(adminAuth.requireAdminToken(options.adminToken));
+  router.use(bodyParser.json());
+
+  router.get('/categories', function(req, res) {
+    res.json(menu.getCategories());
+  });
+
+  router.get('/items', function(req, res) {
+    res.json(menu.getItems());
+  });
+
+  // Must come before /items/:itemId so "order" isn't taken for an item id.
+  router.put('/items/order', function(req, res) {
+    var itemIds = req.body.ids;
+    if (!isStringArray(itemIds)) {
+      res.status(400).json({ error: "ids must be an array of item ids" });
+      return;
+    }
+
+    var unknown = menu.reorderItems(itemIds);
+    if (unknown.length) {
+      res.status(404).json({ error: "Unknown item(s): " + unknown.join(', ') });
+      return;
+    }
+
+    console.log("Admin reordered menu items: %s", itemIds.join(', '));
+    res.json(menu.getItems());
+  });
+
+  router.get('/items/:itemId', function(req, res) {
+    var item = menu.getItem(req.params.itemId);
+    if (!item) {
+      res.status(404).json({ error: "Unknown item" });
+      return;
+    }
+
+    res.json(item);
+  });
+
+  router.post('/items', function(req, res) {
+    var error = validateItem(req.body, true);
+    if (error) {
+      res.status(400).json({ error: error });
+      return;
+    }
+
+    var item = menu.addItem(req.body);
+    console.log("Admin created menu item %s", item.id);
+    res.status(201).json(item);
+  });
+
+  router.patch('/items/:itemId', function(req, res) {
+    var error = validateItem(req.body, false);
+    if (error) {
+      res.status(400).json({ error: error });
+      return;
+    }
+
+    var item = menu.updateItem(req.params.itemId, req.body);
+    if (!item) {
+      res.status(404).json({ error: "Unknown item" });
+      return;
+    }
+
+    console.log("Admin updated menu item %s", item.id);
+    res.json(item);
+  });
+
+  // Items are retired rather than deleted; PATCH { "retired": false } brings
+  // one back.
+  router.delete('/items/:itemId', function(req, res) {
+    var item = menu.retireItem(req.params.itemId);
+    if (!item) {
+      res.status(404).json({ error: "Unknown item" });
+      return;
+    }
+
+    console.log("Admin retired menu item %s", item.id);
+    res.json(item);
+  });
+
+  router.get('/specials/:tag', function(req, res) {
+    if (SPECIAL_TAGS.indexOf(req.params.tag) === -1) {
+      res.status(404).json({ error: "Unknown special list" });
+      return;
+    }
+
+    res.json(menu.getItemsByTag(req.params.tag));
+  });
+
+  // Replace the set of items that count as "special", "daily" or "party".
+  router.put('/specials/:tag', function(req, res) {
+    var tag = req.params.tag;
+    var itemIds = req.body.ids;
+
+    if (SPECIAL_TAGS.indexOf(tag) === -1) {
+      res.status(404).json({ error: "Unknown special list" });
+      return;
+    }
+    if (!isStringArray(itemIds)) {
+      res.status(400).json({ error: "ids must be an array of item ids" });
+      return;
+    }
+
+    var unknown = menu.setTaggedItems(tag, itemIds);
+    if (unknown.length) {
+      res.status(404).json({ error: "Unknown item(s): " + unknown.join(', ') });
+      return;
+    }
+
+    console.log("Admin set %s items: %s", tag, itemIds.join(', '));
+    res.json(menu.getItemsByTag(tag));
+  });
+
+  // ?status=pending lists the moderation queue.
+  router.get('/reviews', function(req, res) {
+    var status = req.query.status;
+    if (status && reviews.STATUSES.indexOf(status) === -1) {
+      res.status(400).json({
+        error: "status must be one of: " + reviews.STATUSES.join(', ')
+      });
+      return;
+    }
+
+    res.json(reviews.list(status));
+  });
+
+  router.post('/reviews/:reviewId/approve', function(req, res) {
+    moderateReview(req, res, 'approved');
+  });
+
+  router.post('/reviews/:reviewId/reject', function(req, res) {
+    moderateReview(req, res, 'rejected');
+  });
+
+  function moderateReview(req, res, status) {
+    var review = reviews.moderate(req.params.reviewId, status);
+    if (!review) {
+      res.status(404).json({ error: "Unknown review" });
+      return;
+    }
+
+    console.log("Admin %s review %s", status, review.id);
+    res.json(review);
+  }
+
+  router.get('/subscriptions', function(req, res) {
+    res.json(subscriptions.getActive());
+  });
+
+  // ?psid= and ?date= (YYYY-MM-DD) narrow the history down.
+  router.get('/subscriptions/history', function(req, res) {
+    res.json(subscriptions.getHistory({
+      psid: req.query.psid,
+      date: req.query.date
+    }));
+  });
+
+  /*
+   * Send the daily special now instead of waiting for the scheduler. Body:
+   * { "date": "YYYY-MM-DD", "dryRun": true }, both optional; the date
+   * defaults to today in the restaurant's timezone.
+   *
+   */
+  router.post('/subscriptions/push', function(req, res) {
+    var dateKey = req.body.date || hours.localTime(new Date()).date;
+    if (!hours.isDateKey(dateKey)) {
+      res.status(400).json({ error: "date must be formatted as YYYY-MM-DD" });
+      return;
+    }
+
+    console.log("Admin pushing the daily special for %s%s", dateKey,
+      req.body.dryRun ? " (dry run)" : "");
+
+    // A dry run is over right away; a real push can take a while with many
+    // subscribers, so it is only started and its progress is in the history.
+    if (req.body.dryRun) {
+      options.pushDailySpecial(dateKey, { dryRun: true },
+        function(err, summary) {
+          res.json(summary);
+        });
+      return;
+    }
+
+    var summary = options.pushDailySpecial(dateKey, { dryRun: false },
+      function(err, summary) {
+        console.log("Admin push of the daily special for %s: %d sent, " +
+          "%d skipped, %d failed", dateKey, summary.sent.length,
+          summary.skipped.length, summary.failed.length);
+      });
+    res.status(202).json({
+      date: summary.date,
+      closed: summary.closed,
+      sending: summary.sending,
+      skipped: summary.skipped
+    });
+  });
+
+  router.get('/members', function(req, res) {
+    res.json(members.list());
+  });
+
+  // Body: { "email": ..., "name": ..., "password": ... }
+  router.post('/members', function(req, res) {
+    members.create(req.body, function(err, result) {
+      if (err) {
+        console.error("Failed creating loyalty member: %s", err.message);
+        res.status(500).json({ error: "Failed creating the member" });
+        return;
+      }
+      if (result.error === 'exists') {
+        res.status(409).json({
+          error: "A member with that email already exists"
+        });
+        return;
+      }
+      if (result.error) {
+        res.status(400).json({ error: MEMBER_ERRORS[result.error] });
+        return;
+      }
+
+      console.log("Admin created loyalty member %s", result.member.id);
+      res.status(201).json(result.member);
+    });
+  });
+
+  /*
+   * Mark an order picked up at the counter, which earns a linked member its
+   * points. Answers with the order and the ledger entry (null when no points
+   * were earned); an order already picked up gets a 409.
+   *
+   */
+  router.post('/orders/:orderId/picked-up', function(req, res) {
+    var result = orders.markPickedUp(req.params.orderId);
+
+    if (result.error === 'unknown') {
+      res.status(404).json({ error: "Unknown order" });
+      return;
+    }
+    if (result.error === 'pickedUp') {
+      res.status(409).json({
+        error: "This order was already picked up",
+        order: result.order
+      });
+      return;
+    }
+
+    console.log("Admin marked order %s picked up", result.order.id);
+    res.json({
+      order: result.order,
+      entry: options.orderPickedUp(result.order)
+    });
+  });
+
+  // The points ledger, oldest first; ?memberId= narrows it to one member.
+  router.get('/loyalty/ledger', function(req, res) {
+    res.json(loyalty.getLedger(req.query.memberId));
+  });
+
+  // The check-in code to show at the counter; ?date=YYYY-MM-DD, default today.
+  router.get('/loyalty/check-in-code', function(req, res) {
+    var dateKey = req.query.date || hours.localTime(new Date()).date;
+    if (!hours.isDateKey(dateKey)) {
+      res.status(400).json({ error: "date must be formatted as YYYY-MM-DD" });
+      return;
+    }
+
+    res.json({ date: dateKey, code: loyalty.getCheckInCode(dateKey) });
+  });
+
+  // ?status=issued lists the codes not used yet (used works too).
+  router.get('/loyalty/redemptions', function(req, res) {
+    res.json(loyalty.getRedemptions(req.query.status));
+  });
+
+  /*
+   * Check a reward code shown at the counter and mark it used. Answers with
+   * the redemption; a code that was already used gets a 409.
+   *
+   */
+  router.post('/loyalty/redemptions/:code/use', function(req, res) {
+    var result = loyalty.useRedemption(req.params.code);
+
+    if (result.error === 'unknown') {
+      res.status(404).json({ error: "Unknown redemption code" });
+      return;
+    }
+    if (result.error === 'used') {
+      res.status(409).json({
+        error: "This code was already used",
+        redemption: result.redemption
+      });
+      return;
+    }
+
+    console.log("Admin used redemption code %s for member %s",
+      result.redemption.code, result.redemption.memberId);
+    res.json(result.redemption);
+  });
+
+  // Conversations waiting for or talking to staff, longest waiting first.
+  router.get('/handoffs', function(req, res) {
+    res.json(handoffs.getActive());
+  });
+
+  // Body: { "text": ... }, sent to the customer as is.
+  router.post('/handoffs/:psid/messages', function(req, res) {
+    var psid = req.params.psid;
+    var text = req.body.text;
+
+    if (!handoffs.isActive(psid)) {
+      res.status(409).json({ error: "The user is not talking to staff" });
+      return;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      res.status(400).json({ error: "text must be a non-empty string" });
+      return;
+    }
+
+    handoffs.touch(psid);
+    options.send({
+      recipient: { id: psid },
+      message: { text: text }
+    }, function(err, body) {
+      if (err) {
+        res.status(502).json({
+          error: "Send API call failed",
+          reason: err.classification ? err.classification.reason : err.message
+        });
+        return;
+      }
+
+      res.json({ sent: true, messageId: body.message_id });
+    });
+  });
+
+  router.post('/handoffs/:psid/end', function(req, res) {
+    var handoff = options.endHandoff(req.params.psid);
+    if (!handoff) {
+      res.status(409).json({ error: "The user is not talking to staff" });
+      return;
+    }
+
+    console.log("Admin handed user %s back to the bot", handoff.psid);
+    res.json(handoff);
+  });
+
+  // Support tickets, newest first; ?status=, ?type= and ?psid= narrow the
+  // list down.
+  router.get('/tickets', function(req, res) {
+    res.json(supportTickets.list({
+      status: req.query.status,
+      type: req.query.type,
+      psid: req.query.psid
+    }));
+  });
+
+  router.get('/tickets/:ticketId', function(req, res) {
+    var ticket = supportTickets.get(req.params.ticketId);
+    if (!ticket) {
+      res.status(404).json({ error: "Unknown ticket" });
+      return;
+    }
+
+    res.json(ticket);
+  });
+
+  // Close a ticket staff dealt with; a ticket already closed gets a 409.
+  router.post('/tickets/:ticketId/close', function(req, res) {
+    var result = supportTickets.close(req.params.ticketId);
+
+    if (result.error === 'unknown') {
+      res.status(404).json({ error: "Unknown ticket" });
+      return;
+    }
+    if (result.error === 'closed') {
+      res.status(409).json({
+        error: "This ticket was already closed",
+        ticket: result.ticket
+      });
+      return;
+    }
+
+    console.log("Admin closed ticket %s", result.ticket.id);
+    res.json(result.ticket);
+  });
+
+  router.get('/unknown-payloads', function(req, res) {
+    res.json(options.unknownPayloads());
+  });
+
+  // Messages sent to a user with their status, newest first.
+  router.get('/message-status/users/:psid', function(req, res) {
+    res.json(messageStatus.listForUser(req.params.psid));
+  });
+
+  // ?ref= picks one run of the campaign, ?readWithinMinutes= (60 by default)
+  // how soon a message must have been read to count as read in time.
+  router.get('/message-status/campaigns/:campaign', function(req, res) {
+    var minutes = req.query.readWithinMinutes === undefined ? 60 :
+      Number(req.query.readWithinMinutes);
+
+    if (isNaN(minutes) || minutes <= 0) {
+      res.status(400).json({
+        error: "readWithinMinutes must be a positive number"
+      });
+      return;
+    }
+
+    res.json(messageStatus.campaignStats(req.params.campaign, {
+      ref: req.query.ref,
+      readWithin: minutes * 60 * 1000
+    }));
+  });
+
+  // ?recipientId= and ?reason= narrow the list down.
+  router.get('/dead-letters', function(req, res) {
+    res.json(deadLetters.list({
+      recipientId: req.query.recipientId,
+      reason: req.query.reason
+    }));
+  });
+
+  router.get('/dead-letters/:id', function(req, res) {
+    var entry = deadLetters.get(req.params.id);
+    if (!entry) {
+      res.status(404).json({ error: "Unknown dead letter" });
+      return;
+    }
+
+    res.json(entry);
+  });
+
+  /*
+   * Send a dead-lettered message again. The entry is removed first; if the
+   * message fails again it is dead-lettered anew with the latest error.
+   *
+   */
+  router.post('/dead-letters/:id/replay', function(req, res) {
+    var entry = deadLetters.get(req.params.id);
+    if (!entry) {
+      res.status(404).json({ error: "Unknown dead letter" });
+      return;
+    }
+
+    deadLetters.remove(entry.id);
+    console.log("Admin replaying dead letter %s for recipient %s", entry.id,
+      entry.recipientId);
+
+    options.replay(entry.messageData, function(err, body) {
+      if (err) {
+        res.status(502).json({
+          error: "Send API call failed again",
+          reason: err.classification ? err.classification.reason : err.message
+        });
+        return;
+      }
+
+      res.json({ sent: true, messageId: body.message_id });
+    });
+  });
+
+  router.delete('/dead-letters/:id', function(req, res) {
+    if (!deadLetters.get(req.params.id)) {
+      res.status(404).json({ error: "Unknown dead letter" });
+      return;
+    }
+
+    deadLetters.remove(req.params.id);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = createAdminApi;
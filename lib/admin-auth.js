@@ -0,0 +1,122 @@
+/*
+ * Admin Authentication
+ *
+ * Express middleware protecting the staff facing routes with the admin token
+ * from the config. The token is accepted either as a bearer token in the
+ * Authorization header or in the X-Admin-Token header.
+ *
+ * The staff inbox is used from a browser, so staff sign in with the token
+ * once and get a session cookie instead. The cookie holds when the session
+ * expires, signed with the token, so changing the token signs everybody out.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto');
+
+const STAFF_SESSION_COOKIE = 'staff_session';
+
+function readToken(req) {
+  var authorization = req.headers.authorization || '';
+  var match = /^Bearer\s+(.+)$/i.exec(authorization);
+
+  if (match) {
+    return match[1];
+  }
+
+  return req.headers['x-admin-token'];
+}
+
+// Compare digests rather than the raw strings so the comparison doesn't leak
+// the token length or how much of it matched.
+function tokensMatch(given, expected) {
+  var a = crypto.createHash('sha256').update(String(given)).digest();
+  var b = crypto.createHash('sha256').update(String(expected)).digest();
+  var diff = 0;
+
+  for (var i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+
+  return diff === 0;
+}
+
+function requireAdminToken(adminToken) {
+  return function(req, res, next) {
+    var token = readToken(req);
+
+    if (!adminToken || !token || !tokensMatch(token, adminToken)) {
+      console.error("Rejected admin request for %s %s", req.method,
+        req.originalUrl);
+      res.status(401).json({ error: "Invalid or missing admin token" });
+      return;
+    }
+
+    next();
+  };
+}
+
+function signSession(expiresAt, adminToken) {
+  return crypto.createHmac('sha256', adminToken).update(String(expiresAt))
+    .digest('hex');
+}
+
+function readCookie(req, name) {
+  var cookies = (req.headers.cookie || '').split(';');
+
+  for (var i = 0; i < cookies.length; i++) {
+    var pair = cookies[i].split('=');
+    if (pair[0].trim() === name) {
+      return decodeURIComponent(pair.slice(1).join('=').trim());
+    }
+  }
+
+  return null;
+}
+
+// Whether a token given on a sign in form is the admin token.
+function isAdminToken(token, adminToken) {
+  return !!adminToken && !!token && tokensMatch(token, adminToken);
+}
+
+/*
+ * A session cookie value valid for "ttl" milliseconds, to be set under
+ * STAFF_SESSION_COOKIE.
+ *
+ */
+function createStaffSession(adminToken, ttl) {
+  var expiresAt = Date.now() + ttl;
+  return expiresAt + '.' + signSession(expiresAt, adminToken);
+}
+
+/*
+ * Middleware letting through requests with a valid staff session cookie.
+ * Everybody else is sent to "loginPath".
+ *
+ */
+function requireStaffSession(adminToken, loginPath) {
+  return function(req, res, next) {
+    var parts = (readCookie(req, STAFF_SESSION_COOKIE) || '').split('.');
+    var expiresAt = parseInt(parts[0], 10);
+
+    if (!adminToken || parts.length !== 2 || isNaN(expiresAt) ||
+        expiresAt <= Date.now() ||
+        !tokensMatch(parts[1], signSession(expiresAt, adminToken))) {
+      res.redirect(303, loginPath);
+      return;
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  STAFF_SESSION_COOKIE: STAFF_SESSION_COOKIE,
+  requireAdminToken: requireAdminToken,
+  isAdminToken: isAdminToken,
+  createStaffSession: createStaffSession,
+  requireStaffSession: requireStaffSession
+};
@@ -0,0 +1,170 @@
+/*
+ * Analytics API
+ *
+ * Reports built from the analytics events (see analytics.js), for staff:
+ * daily active users, the most used intents and payloads, the messages the
+ * bot didn't understand and the funnel from the welcome card to an order.
+ * Every report takes a range of days (?from= and ?to=, YYYY-MM-DD, the last
+ * 30 days by default) and can be downloaded as CSV with ?format=csv.
+ * Everything under /admin/analytics requires the admin token (see
+ * admin-auth.js).
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  adminAuth = require('./admin-auth'),
+  analytics = require('./analytics'),
+  express = require('express'),
+  hours = require('./hours');
+
+const DEFAULT_DAYS = 30;
+const DEFAULT_LIMIT = 20;
+
+// Longest range the reports cover, so nobody asks for every day since 1970.
+const MAX_DAYS = 366;
+
+// Report name: function(events, from, to, limit) and the CSV columns.
+const REPORTS = {
+  'daily-active-users': {
+    run: analytics.dailyActiveUsers,
+    columns: ['date', 'users']
+  },
+  'intents': {
+    run: analytics.topIntents,
+    columns: ['intent', 'count', 'users']
+  },
+  'payloads': {
+    run: analytics.topPayloads,
+    columns: ['payload', 'count', 'users']
+  },
+  'unrecognised': {
+    run: analytics.unrecognised,
+    columns: ['text', 'count', 'users']
+  },
+  'funnel': {
+    run: analytics.funnel,
+    columns: ['step', 'users', 'conversion', 'overall']
+  }
+};
+
+/*
+ * Read the range and limit of a report request. Returns { from, to, limit }
+ * or { error }.
+ *
+ */
+function readQuery(query) {
+  var to = query.to || hours.localTime(new Date()).date;
+  var from = query.from ||
+    (hours.isDateKey(to) ? hours.addDays(to, 1 - DEFAULT_DAYS) : null);
+  var limit = query.limit === undefined ? DEFAULT_LIMIT :
+    parseInt(query.limit, 10);
+
+  if (!hours.isDateKey(from) || !hours.isDateKey(to)) {
+    return { error: "from and to must be dates (YYYY-MM-DD)" };
+  }
+  if (from > to) {
+    return { error: "from must not be after to" };
+  }
+  if (hours.daysBetween(from, to) >= MAX_DAYS) {
+    return { error: "The range can't be longer than " + MAX_DAYS + " days" };
+  }
+  if (isNaN(limit) || limit < 1) {
+    return { error: "limit must be a positive number" };
+  }
+
+  return { from: from, to: to, limit: limit };
+}
+
+function csvField(value) {
+  var text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toCsv(columns, rows) {
+  return [columns].concat(rows.map(function(row) {
+    return columns.map(function(column) {
+      return row[column];
+    });
+  })).map(function(fields) {
+    return fields.map(csvField).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+// Read the events of the range, answering with a 500 if that fails.
+function readEvents(range, res, callback) {
+  analytics.readEvents(range.from, range.to, function(err, events) {
+    if (err) {
+      console.error("Failed reading analytics events: %s", err.message);
+      res.status(500).json({ error: "Failed reading the analytics events" });
+      return;
+    }
+
+    callback(events);
+  });
+}
+
+/*
+ * Options:
+ *   adminToken - token required on every request
+ *
+ */
+function createAnalyticsApi(options) {
+  var router = express.Router();
+
+  router.use(adminAuth.requireAdminToken(options.adminToken));
+
+  // All the reports at once, as JSON.
+  router.get('/', function(req, res) {
+    var range = readQuery(req.query);
+    if (range.error) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+
+    // Read the events once for all of the reports.
+    readEvents(range, res, function(events) {
+      var result = { from: range.from, to: range.to };
+      Object.keys(REPORTS).forEach(function(name) {
+        result[name] = REPORTS[name].run(events, range.from, range.to,
+          range.limit);
+      });
+      res.json(result);
+    });
+  });
+
+  router.get('/:report', function(req, res) {
+    var report = REPORTS.hasOwnProperty(req.params.report) ?
+      REPORTS[req.params.report] : null;
+    if (!report) {
+      res.status(404).json({ error: "Unknown report, use one of: " +
+        Object.keys(REPORTS).join(', ') });
+      return;
+    }
+
+    var range = readQuery(req.query);
+    if (range.error) {
+      res.status(400).json({ error: range.error });
+      return;
+    }
+
+    readEvents(range, res, function(events) {
+      var rows = report.run(events, range.from, range.to, range.limit);
+
+      if (req.query.format === 'csv') {
+        res.attachment(req.params.report + '-' + range.from + '-' +
+          range.to + '.csv');
+        res.type('text/csv').send(toCsv(report.columns, rows));
+        return;
+      }
+
+      res.json(rows);
+    });
+  });
+
+  return router;
+}
+
+module.exports = createAnalyticsApi;
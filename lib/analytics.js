@@ -0,0 +1,352 @@
+/*
+ * Analytics
+ *
+ * A structured record of what happens in conversations: every webhook event
+ * the bot receives, every message it sends, the intents it recognised in free
+ * text and the messages it couldn't make sense of, and the steps users reach
+ * on the way to an order (see FUNNEL_STEPS). Events are appended to a JSON
+ * lines file per day in the data directory and never changed. The reports
+ * are built from the events of a range of days, which readEvents streams
+ * back from those days' files only, without holding up the webhook; several
+ * reports can share one read. Days are the restaurant's (see hours.js).
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  hours = require('./hours'),
+  jsonStore = require('./json-store'),
+  path = require('path'),
+  payloads = require('./payload'),
+  readline = require('readline');
+
+// The steps from first contact to an order, in the order users take them.
+const FUNNEL_STEPS = ['welcome', 'menu', 'checkout', 'order'];
+
+// Inbound events a user sends themselves, as opposed to deliveries, reads and
+// echoes. Any of them makes the user active that day.
+const USER_EVENTS = ['text', 'quick_reply', 'postback', 'attachment', 'optin',
+  'account_linking'];
+
+var eventsDir = null;
+
+function init(options) {
+  eventsDir = path.join(options.dataDir, 'analytics');
+  jsonStore.ensureDir(eventsDir);
+
+  // Finish a line cut short by a crash, so the next event starts a new one.
+  // Only the latest day's file can have one.
+  var latest = fs.readdirSync(eventsDir).filter(function(file) {
+    return path.extname(file) === '.jsonl';
+  }).sort().pop();
+
+  if (latest) {
+    var text = fs.readFileSync(path.join(eventsDir, latest), 'utf8');
+    if (text && text[text.length - 1] !== '\n') {
+      fs.appendFileSync(path.join(eventsDir, latest), '\n');
+    }
+  }
+}
+
+// The events of a day (YYYY-MM-DD) are in "<day>.jsonl".
+function dayFile(dateKey) {
+  return path.join(eventsDir, dateKey + '.jsonl');
+}
+
+/*
+ * Record an event: { type, psid, at, date } plus the fields given. Types are
+ * those of recordWebhookEvent and recordSend, "intent", "unrecognised" and
+ * "funnel".
+ *
+ */
+function track(type, psid, fields) {
+  var now = new Date();
+  var event = Object.assign({
+    type: type,
+    psid: psid,
+    at: now.getTime(),
+    date: hours.localTime(now).date
+  }, fields);
+
+  try {
+    fs.appendFileSync(dayFile(event.date), JSON.stringify(event) + '\n');
+  } catch (err) {
+    console.error("Failed recording %s analytics event: %s", type,
+      err.message);
+  }
+}
+
+function payloadName(payload) {
+  return payloads.decode(payload || '').name || null;
+}
+
+// Record an event from the webhook, whatever its kind.
+function recordWebhookEvent(event) {
+  var psid = event.sender.id;
+  var message = event.message;
+
+  if (event.optin) {
+    track('optin', psid, { ref: event.optin.ref || null });
+  } else if (message && message.is_echo) {
+    track('echo', event.recipient.id, {});
+  } else if (message && message.quick_reply) {
+    track('quick_reply', psid,
+      { payload: payloadName(message.quick_reply.payload) });
+  } else if (message && message.text) {
+    track('text', psid, {});
+  } else if (message) {
+    track('attachment', psid, {
+      attachmentTypes: (message.attachments || []).map(function(attachment) {
+        return attachment.type;
+      })
+    });
+  } else if (event.postback) {
+    track('postback', psid, { payload: payloadName(event.postback.payload) });
+  } else if (event.delivery) {
+    track('delivery', psid,
+      { messages: (event.delivery.mids || []).length });
+  } else if (event.read) {
+    track('read', psid, { watermark: event.read.watermark });
+  } else if (event.account_linking) {
+    track('account_linking', psid, { status: event.account_linking.status });
+  } else {
+    track('unknown', psid, {});
+  }
+}
+
+/*
+ * Record a message handed to the Send API. "by" is "bot" or "staff". The
+ * kind is "text", the template type, the attachment type or "sender_action".
+ *
+ */
+function recordSend(messageData, by) {
+  var message = messageData.message;
+  var kind = 'sender_action';
+
+  if (message && message.attachment) {
+    kind = message.attachment.type === 'template' ?
+      message.attachment.payload.template_type : message.attachment.type;
+  } else if (message) {
+    kind = 'text';
+  }
+
+  track('send', messageData.recipient.id, { by: by, kind: kind });
+}
+
+function trackFunnel(psid, step) {
+  if (FUNNEL_STEPS.indexOf(step) === -1) {
+    throw new Error("Unknown funnel step " + step);
+  }
+
+  track('funnel', psid, { step: step });
+}
+
+/*
+ * Stream the events of one day into "events". Lines that don't parse, like
+ * one cut short by a crash, are skipped.
+ *
+ */
+function readDay(dateKey, events, callback) {
+  var file = dayFile(dateKey);
+  if (!fs.existsSync(file)) {
+    process.nextTick(callback, null);
+    return;
+  }
+
+  var input = fs.createReadStream(file, { encoding: 'utf8' });
+  var lines = readline.createInterface({ input: input, crlfDelay: Infinity });
+  var skipped = 0;
+  var finished = false;
+
+  function finish(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+
+    if (skipped) {
+      console.error("Skipped %d unreadable lines in %s", skipped, file);
+    }
+    callback(err || null);
+  }
+
+  lines.on('line', function(line) {
+    if (!line) {
+      return;
+    }
+
+    try {
+      events.push(JSON.parse(line));
+    } catch (err) {
+      skipped++;
+    }
+  });
+  lines.on('close', function() {
+    finish();
+  });
+  input.on('error', finish);
+}
+
+/*
+ * Call back with the events from the "from" day to the "to" day
+ * (YYYY-MM-DD), inclusive, read a day at a time.
+ *
+ */
+function readEvents(from, to, callback) {
+  var events = [];
+
+  (function next(dateKey) {
+    if (dateKey > to) {
+      callback(null, events);
+      return;
+    }
+
+    readDay(dateKey, events, function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      next(hours.addDays(dateKey, 1));
+    });
+  })(from);
+}
+
+// Count events by a key, with how many different users each came from.
+function countBy(events, key, limit) {
+  var counts = {};
+
+  events.forEach(function(event) {
+    var value = key(event);
+    var entry = counts[value] ||
+      (counts[value] = { value: value, count: 0, users: {} });
+
+    entry.count++;
+    entry.users[event.psid] = true;
+  });
+
+  return Object.keys(counts).map(function(value) {
+    return counts[value];
+  }).sort(function(a, b) {
+    return b.count - a.count || (a.value < b.value ? -1 : 1);
+  }).slice(0, limit).map(function(entry) {
+    return {
+      value: entry.value,
+      count: entry.count,
+      users: Object.keys(entry.users).length
+    };
+  });
+}
+
+/*
+ * The reports below take the events read for a range of days (see
+ * readEvents) along with the range and, for the top lists, a limit.
+ *
+ */
+
+// Users who sent the bot anything, for each day of the range.
+function dailyActiveUsers(events, from, to) {
+  var users = {};
+
+  events.forEach(function(event) {
+    if (USER_EVENTS.indexOf(event.type) !== -1) {
+      (users[event.date] = users[event.date] || {})[event.psid] = true;
+    }
+  });
+
+  var days = [];
+  for (var date = from; date <= to; date = hours.addDays(date, 1)) {
+    days.push({ date: date, users: Object.keys(users[date] || {}).length });
+  }
+  return days;
+}
+
+function topIntents(events, from, to, limit) {
+  return countBy(events.filter(function(event) {
+    return event.type === 'intent';
+  }), function(event) {
+    return event.intent;
+  }, limit).map(function(entry) {
+    return { intent: entry.value, count: entry.count, users: entry.users };
+  });
+}
+
+// Postback and quick reply payloads, without their parameters.
+function topPayloads(events, from, to, limit) {
+  return countBy(events.filter(function(event) {
+    return (event.type === 'postback' || event.type === 'quick_reply') &&
+      event.payload;
+  }), function(event) {
+    return event.payload;
+  }, limit).map(function(entry) {
+    return { payload: entry.value, count: entry.count, users: entry.users };
+  });
+}
+
+// Free text the bot couldn't match to anything, ignoring case and spacing.
+function unrecognised(events, from, to, limit) {
+  return countBy(events.filter(function(event) {
+    return event.type === 'unrecognised';
+  }), function(event) {
+    return event.text.trim().toLowerCase().replace(/\s+/g, ' ');
+  }, limit).map(function(entry) {
+    return { text: entry.value, count: entry.count, users: entry.users };
+  });
+}
+
+/*
+ * How many users reached each step of the funnel, having gone through the
+ * steps before it in order, and which share of the users at the previous
+ * step (and at the first) that is.
+ *
+ */
+function funnel(events) {
+  var reached = {};
+
+  events.filter(function(event) {
+    return event.type === 'funnel';
+  }).sort(function(a, b) {
+    return a.at - b.at;
+  }).forEach(function(event) {
+    var progress = reached[event.psid] || 0;
+    if (event.step === FUNNEL_STEPS[progress]) {
+      reached[event.psid] = progress + 1;
+    }
+  });
+
+  var counts = FUNNEL_STEPS.map(function(step, index) {
+    return Object.keys(reached).filter(function(psid) {
+      return reached[psid] > index;
+    }).length;
+  });
+
+  return FUNNEL_STEPS.map(function(step, index) {
+    return {
+      step: step,
+      users: counts[index],
+      conversion: index ? ratio(counts[index], counts[index - 1]) : 1,
+      overall: ratio(counts[index], counts[0])
+    };
+  });
+}
+
+function ratio(part, whole) {
+  return whole ? Math.round(part / whole * 1000) / 1000 : null;
+}
+
+module.exports = {
+  FUNNEL_STEPS: FUNNEL_STEPS,
+  init: init,
+  track: track,
+  recordWebhookEvent: recordWebhookEvent,
+  recordSend: recordSend,
+  trackFunnel: trackFunnel,
+  readEvents: readEvents,
+  dailyActiveUsers: dailyActiveUsers,
+  topIntents: topIntents,
+  topPayloads: topPayloads,
+  unrecognised: unrecognised,
+  funnel: funnel
+};
@@ -0,0 +1,119 @@
+/*
+ * Account Linking Authorization Codes
+ *
+ * The code handed to Messenger when a member signs in on the account linking
+ * page, which comes back to us in the account_linking webhook event. A code
+ * names the member and the PSID of the user who signed in, carries a random
+ * nonce and an expiry time, and is signed with the app secret, so nobody can
+ * make one up or link another user with it. Each code can be redeemed
+ * once: the nonces of redeemed codes are kept in a JSON file in the data
+ * directory until the codes expire.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var redeemed = null;
+var secret = null;
+var ttl = 0;
+
+/*
+ * Options:
+ *   dataDir - where to keep the redeemed codes
+ *   secret  - key the codes are signed with
+ *   ttl     - milliseconds a code is good for
+ *
+ */
+function init(options) {
+  redeemed = jsonStore.createStore(
+    path.join(options.dataDir, 'redeemed-auth-codes.json'));
+  secret = options.secret;
+  ttl = options.ttl;
+}
+
+function sign(text) {
+  return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+// "<memberId>.<psid>.<nonce>.<expiresAt>.<signature>"
+function issue(memberId, psid) {
+  var text = [
+    memberId,
+    psid,
+    crypto.randomBytes(16).toString('hex'),
+    Date.now() + ttl
+  ].join('.');
+
+  return text + '.' + sign(text);
+}
+
+function signatureMatches(text, signature) {
+  var expected = Buffer.from(sign(text), 'hex');
+  var given = Buffer.from(signature, 'hex');
+
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(given, expected);
+}
+
+// Forget redeemed codes that have expired anyway.
+function pruneRedeemed(now) {
+  redeemed.values().forEach(function(entry) {
+    if (entry.expiresAt <= now) {
+      redeemed.remove(entry.nonce);
+    }
+  });
+}
+
+/*
+ * Check a code the user with this PSID sent and use it up. Returns the member
+ * id it was issued for, or null if the code is malformed, forged, expired,
+ * was already redeemed or was issued to another user.
+ *
+ */
+function redeem(code, psid) {
+  var parts = String(code || '').split('.');
+  if (parts.length !== 5) {
+    return null;
+  }
+
+  var memberId = parts[0];
+  var nonce = parts[2];
+  var expiresAt = parseInt(parts[3], 10);
+  var now = Date.now();
+
+  if (!signatureMatches(parts.slice(0, 4).join('.'), parts[4])) {
+    console.error("Rejected auth code with a bad signature");
+    return null;
+  }
+  if (parts[1] !== String(psid)) {
+    console.error("Rejected auth code for member %s sent by another user",
+      memberId);
+    return null;
+  }
+  if (expiresAt <= now) {
+    console.error("Rejected expired auth code for member %s", memberId);
+    return null;
+  }
+
+  pruneRedeemed(now);
+
+  if (redeemed.get(nonce)) {
+    console.error("Rejected reused auth code for member %s", memberId);
+    return null;
+  }
+  redeemed.set(nonce, { nonce: nonce, expiresAt: expiresAt });
+
+  return memberId;
+}
+
+module.exports = {
+  init: init,
+  issue: issue,
+  redeem: redeem
+};
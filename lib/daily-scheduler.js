@@ -0,0 +1,70 @@
+/*
+ * Daily Scheduler
+ *
+ * Runs a job once a day at a given local time in the restaurant's timezone
+ * (see hours.js). The clock is checked every minute; if the server was down
+ * at the scheduled time, the job still runs when it comes back, as long as it
+ * is within "catchUpMinutes" of the scheduled time, so nobody gets their
+ * morning message in the evening.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  hours = require('./hours');
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/*
+ * Create a scheduler. Options:
+ *   time           - "HH:MM" local time to run at
+ *   catchUpMinutes - how late the job may still run
+ *   run            - function(dateKey) doing the job for a day
+ *
+ */
+function createDailyScheduler(options) {
+  var minutes = hours.parseTime(options.time);
+  var catchUpMinutes = options.catchUpMinutes || 0;
+  var lastRunDate = null;
+  var timer = null;
+
+  function check(date) {
+    var now = hours.localTime(date || new Date());
+
+    if (now.date === lastRunDate || now.minutes < minutes ||
+        now.minutes > minutes + catchUpMinutes) {
+      return false;
+    }
+
+    lastRunDate = now.date;
+    options.run(now.date);
+    return true;
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(check, CHECK_INTERVAL_MS);
+    timer.unref();
+    check();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    start: start,
+    stop: stop,
+    check: check
+  };
+}
+
+module.exports = {
+  createDailyScheduler: createDailyScheduler
+};
@@ -0,0 +1,156 @@
+/*
+ * Daily Specials Schedule
+ *
+ * Which menu items are the daily special on which day, read from
+ * config/daily-specials.json. Each special lists its items and when it is on:
+ *
+ *   - "dates": one-off dates ("YYYY-MM-DD"), or
+ *   - "weekdays" (e.g. ["monday", "friday"]) and/or a "from" / "until" date
+ *     range, both inclusive. A special with neither is on every day.
+ *
+ * A special may also be limited to a meal ("lunch" or "dinner"), whose time
+ * window is set in "meals". Dates and times are local to the restaurant (see
+ * hours.js).
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  hours = require('./hours');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The whole day, for specials not limited to a meal.
+const ALL_DAY = { open: 0, close: 24 * 60 };
+
+var schedule = { meals: {}, specials: [] };
+
+function parseDate(value, name) {
+  if (value !== undefined && !DATE_PATTERN.test(value)) {
+    throw new Error("Invalid " + name + " '" + value +
+      "', expected YYYY-MM-DD");
+  }
+  return value || null;
+}
+
+function parseSpecial(special, meals) {
+  if (!Array.isArray(special.items) || !special.items.length) {
+    throw new Error("Daily special '" + special.name + "' has no items");
+  }
+  if (special.meal && !meals[special.meal]) {
+    throw new Error("Daily special '" + special.name + "' has unknown meal '" +
+      special.meal + "'");
+  }
+
+  var weekdays = (special.weekdays || []).map(function(day) {
+    var index = hours.DAY_NAMES.indexOf(day);
+    if (index === -1) {
+      throw new Error("Daily special '" + special.name + "' has unknown " +
+        "weekday '" + day + "'");
+    }
+    return index;
+  });
+
+  return {
+    name: special.name || null,
+    items: special.items,
+    dates: (special.dates || []).map(function(date) {
+      return parseDate(date, 'date');
+    }),
+    weekdays: weekdays,
+    from: parseDate(special.from, 'from date'),
+    until: parseDate(special.until, 'until date'),
+    meal: special.meal || null,
+    window: special.meal ? meals[special.meal] : ALL_DAY
+  };
+}
+
+/*
+ * Read the schedule file. Throws on a malformed file so a bad schedule is
+ * caught at startup.
+ *
+ */
+function load(file) {
+  var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  var meals = {};
+
+  Object.keys(data.meals || {}).forEach(function(meal) {
+    meals[meal] = {
+      open: hours.parseTime(data.meals[meal][0]),
+      close: hours.parseTime(data.meals[meal][1])
+    };
+  });
+
+  schedule = {
+    meals: meals,
+    specials: (data.specials || []).map(function(special) {
+      return parseSpecial(special, meals);
+    })
+  };
+
+  console.log("Loaded %d daily specials from %s", schedule.specials.length,
+    file);
+
+  return schedule;
+}
+
+function isOn(special, dateKey) {
+  if (special.dates.length) {
+    return special.dates.indexOf(dateKey) !== -1;
+  }
+
+  return (!special.weekdays.length ||
+      special.weekdays.indexOf(hours.getDay(dateKey).weekday) !== -1) &&
+    (!special.from || dateKey >= special.from) &&
+    (!special.until || dateKey <= special.until);
+}
+
+/*
+ * The specials on a given day, in the order of their time window. Each is
+ * { name, items, meal, window } with the window in minutes since midnight.
+ *
+ */
+function getForDay(dateKey) {
+  return schedule.specials.filter(function(special) {
+    return isOn(special, dateKey);
+  }).sort(function(a, b) {
+    return a.window.open - b.window.open;
+  }).map(function(special) {
+    return {
+      name: special.name,
+      items: special.items,
+      meal: special.meal,
+      window: special.window
+    };
+  });
+}
+
+/*
+ * The specials of the day an instant falls on, split into those being served
+ * at that time ("now") and those coming up later that day ("later").
+ *
+ */
+function getCurrent(date) {
+  var now = hours.localTime(date || new Date());
+  var today = getForDay(now.date);
+
+  return {
+    date: now.date,
+    now: today.filter(function(special) {
+      return special.window.open <= now.minutes &&
+        now.minutes < special.window.close;
+    }),
+    later: today.filter(function(special) {
+      return special.window.open > now.minutes;
+    })
+  };
+}
+
+module.exports = {
+  load: load,
+  getForDay: getForDay,
+  getCurrent: getCurrent
+};
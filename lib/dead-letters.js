@@ -0,0 +1,81 @@
+/*
+ * Dead Letters
+ *
+ * Messages the Send API permanently refused, or that kept failing after every
+ * retry, are kept here with the reason they failed so staff can look into them
+ * and replay them through the admin API. The store is a JSON file in the data
+ * directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var deadLetters = null;
+
+function init(options) {
+  deadLetters = jsonStore.createStore(
+    path.join(options.dataDir, 'dead-letters.json'));
+}
+
+function add(messageData, err, classification, attempts) {
+  var graphError = err.graphError || {};
+  var entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    recipientId: messageData.recipient.id,
+    messageData: messageData,
+    type: classification.type,
+    reason: classification.reason,
+    error: {
+      message: graphError.message || err.message,
+      statusCode: err.statusCode,
+      code: graphError.code,
+      subcode: graphError.error_subcode
+    },
+    attempts: attempts,
+    failedAt: Date.now()
+  };
+
+  deadLetters.set(entry.id, entry);
+  console.error("Dead-lettered message for recipient %s: %s (%s)",
+    entry.recipientId, classification.reason, entry.error.message);
+
+  return entry;
+}
+
+function get(id) {
+  return deadLetters.get(id);
+}
+
+/*
+ * Dead letters, most recent first, optionally only those for one recipient
+ * or with a given failure reason.
+ *
+ */
+function list(filter) {
+  filter = filter || {};
+
+  return deadLetters.values().filter(function(entry) {
+    return (!filter.recipientId || entry.recipientId === filter.recipientId) &&
+      (!filter.reason || entry.reason === filter.reason);
+  }).sort(function(a, b) {
+    return b.failedAt - a.failedAt;
+  });
+}
+
+function remove(id) {
+  deadLetters.remove(id);
+}
+
+module.exports = {
+  init: init,
+  add: add,
+  get: get,
+  list: list,
+  remove: remove
+};
@@ -0,0 +1,87 @@
+/*
+ * Delivery Zones
+ *
+ * How far a location users share is from the restaurant, whether we deliver
+ * there and on what terms. Zones are rings around the restaurant, each with
+ * its own minimum order and delivery fee; the smallest zone the location
+ * falls in applies. Distances are straight-line distances in miles; travel
+ * times are a rough estimate by car, from the straight-line distance made
+ * longer by ROAD_FACTOR and an average speed.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Roads are rarely straight: this is roughly how much longer the drive is
+// than the straight line in a city grid.
+const ROAD_FACTOR = 1.3;
+
+var restaurant = null;
+var zones = [];
+var averageSpeedMph = 25;
+
+/*
+ * Options:
+ *   restaurant      - { latitude, longitude }
+ *   zones           - [{ radiusMiles, minimumOrder, fee }]
+ *   averageSpeedMph - used for travel times
+ *
+ */
+function init(options) {
+  restaurant = options.restaurant;
+  zones = options.zones.slice().sort(function(a, b) {
+    return a.radiusMiles - b.radiusMiles;
+  });
+  averageSpeedMph = options.averageSpeedMph;
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in miles between two { latitude, longitude }.
+function distanceMiles(from, to) {
+  var dLat = toRadians(to.latitude - from.latitude);
+  var dLong = toRadians(to.longitude - from.longitude);
+  var a = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.pow(Math.sin(dLong / 2), 2);
+
+  return 2 * EARTH_RADIUS_MILES * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Google Maps directions from a location to the restaurant.
+function directionsUrl(from) {
+  return 'https://www.google.com/maps/dir/?api=1&origin=' + from.latitude +
+    ',' + from.longitude + '&destination=' + restaurant.latitude + ',' +
+    restaurant.longitude;
+}
+
+/*
+ * Everything about a location: { distanceMiles, travelMinutes, zone,
+ * farthestZone, directionsUrl }. The zone is null outside the delivery area.
+ *
+ */
+function check(location) {
+  var distance = distanceMiles(location, restaurant);
+
+  return {
+    distanceMiles: Math.round(distance * 10) / 10,
+    travelMinutes: Math.max(1,
+      Math.round(distance * ROAD_FACTOR / averageSpeedMph * 60)),
+    zone: zones.find(function(zone) {
+      return distance <= zone.radiusMiles;
+    }) || null,
+    farthestZone: zones[zones.length - 1] || null,
+    directionsUrl: directionsUrl(location)
+  };
+}
+
+module.exports = {
+  init: init,
+  distanceMiles: distanceMiles,
+  check: check
+};
@@ -0,0 +1,140 @@
+/*
+ * Human Handoffs
+ *
+ * Conversations handed over from the bot to staff. While a user is in human
+ * mode the bot doesn't answer their messages; staff reply through the admin
+ * API instead. Control goes back to the bot when the user or staff ask for
+ * it, or when nobody on either side has written for the timeout. Past
+ * handoffs are kept so staff can see how often people needed a person. Kept
+ * in a JSON file in the data directory, keyed by PSID.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var handoffs = null;
+var timeout = 0;
+
+/*
+ * Options:
+ *   dataDir - where to keep handoffs.json
+ *   timeout - milliseconds without messages after which the bot takes over
+ *             again
+ *
+ */
+function init(options) {
+  handoffs = jsonStore.createStore(path.join(options.dataDir, 'handoffs.json'));
+  timeout = options.timeout;
+}
+
+/*
+ * { psid, active, reason, startedAt, lastActivityAt, endedAt, endedBy }. The
+ * reason is "requested" or "not_understood"; endedBy is "user", "staff" or
+ * "timeout".
+ *
+ */
+function get(psid) {
+  return handoffs.get(psid) || null;
+}
+
+function isActive(psid) {
+  var handoff = get(psid);
+  return !!(handoff && handoff.active);
+}
+
+/*
+ * Put a user in human mode. Returns the handoff, or null if they already
+ * were in it.
+ *
+ */
+function start(psid, reason) {
+  if (isActive(psid)) {
+    return null;
+  }
+
+  var now = Date.now();
+  var handoff = {
+    psid: psid,
+    active: true,
+    reason: reason,
+    startedAt: now,
+    lastActivityAt: now,
+    endedAt: null,
+    endedBy: null
+  };
+  handoffs.set(psid, handoff);
+
+  console.log("Handed user %s over to staff (%s)", psid, reason);
+  return handoff;
+}
+
+// Record a message from the user or staff, pushing the timeout back.
+function touch(psid) {
+  var handoff = get(psid);
+  if (!handoff || !handoff.active) {
+    return;
+  }
+
+  handoff.lastActivityAt = Date.now();
+  handoffs.set(psid, handoff);
+}
+
+/*
+ * Give the conversation back to the bot. Returns the handoff, or null if the
+ * user wasn't in human mode.
+ *
+ */
+function end(psid, endedBy) {
+  var handoff = get(psid);
+  if (!handoff || !handoff.active) {
+    return null;
+  }
+
+  handoff.active = false;
+  handoff.endedAt = Date.now();
+  handoff.endedBy = endedBy;
+  handoffs.set(psid, handoff);
+
+  console.log("Handed user %s back to the bot (%s)", psid, endedBy);
+  return handoff;
+}
+
+// Active handoffs, longest waiting first.
+function getActive() {
+  return handoffs.values().filter(function(handoff) {
+    return handoff.active;
+  }).sort(function(a, b) {
+    return a.startedAt - b.startedAt;
+  });
+}
+
+/*
+ * End the handoffs nobody has written in for the timeout. Returns the ones
+ * ended.
+ *
+ */
+function expire(date) {
+  var now = (date || new Date()).getTime();
+
+  return getActive().filter(function(handoff) {
+    return now - handoff.lastActivityAt >= timeout;
+  }).map(function(handoff) {
+    return end(handoff.psid, 'timeout');
+  });
+}
+
+module.exports = {
+  init: init,
+  get: get,
+  isActive: isActive,
+  start: start,
+  touch: touch,
+  end: end,
+  getActive: getActive,
+  expire: expire
+};
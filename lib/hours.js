@@ -0,0 +1,350 @@
+/*
+ * Opening Hours
+ *
+ * The restaurant's weekly schedule, holiday closures and special-hours
+ * overrides, read from config/hours.json. All times are wall-clock times in
+ * the restaurant's timezone; "now" is converted into that timezone before it
+ * is compared with the schedule, whatever the server's own timezone is.
+ *
+ * Days are identified by their local date as a "YYYY-MM-DD" string and times
+ * of day by minutes since midnight. Opening intervals are expected to end on
+ * the day they start.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday',
+  'friday', 'saturday'];
+
+const DAY_ALIASES = {
+  sun: 0, sunday: 0, sundays: 0,
+  mon: 1, monday: 1, mondays: 1,
+  tue: 2, tues: 2, tuesday: 2, tuesdays: 2,
+  wed: 3, wednesday: 3, wednesdays: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, thursdays: 4,
+  fri: 5, friday: 5, fridays: 5,
+  sat: 6, saturday: 6, saturdays: 6
+};
+
+// How far ahead to look for the next opening before giving up.
+const MAX_DAYS_AHEAD = 14;
+
+var schedule = {
+  timezone: 'UTC',
+  weekly: [[], [], [], [], [], [], []],
+  holidays: {},
+  overrides: {}
+};
+
+function parseTime(text) {
+  var parts = /^(\d{1,2}):(\d{2})$/.exec(text);
+  if (!parts) {
+    throw new Error("Invalid time '" + text + "', expected HH:MM");
+  }
+
+  return parseInt(parts[1], 10) * 60 + parseInt(parts[2], 10);
+}
+
+function parseIntervals(intervals) {
+  return (intervals || []).map(function(interval) {
+    return { open: parseTime(interval[0]), close: parseTime(interval[1]) };
+  });
+}
+
+/*
+ * Read the schedule file. Throws on a malformed file so a bad schedule is
+ * caught at startup.
+ *
+ */
+function load(file) {
+  var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  var holidays = {};
+  var overrides = {};
+
+  (data.holidays || []).forEach(function(holiday) {
+    holidays[holiday.date] = holiday.name || 'Holiday';
+  });
+
+  (data.overrides || []).forEach(function(override) {
+    overrides[override.date] = {
+      name: override.name,
+      intervals: parseIntervals(override.hours)
+    };
+  });
+
+  // Fail early on an unknown timezone rather than on the first message.
+  Intl.DateTimeFormat('en-US', { timeZone: data.timezone });
+
+  schedule = {
+    timezone: data.timezone,
+    weekly: DAY_NAMES.map(function(day) {
+      return parseIntervals(data.weekly[day]);
+    }),
+    holidays: holidays,
+    overrides: overrides
+  };
+
+  return schedule;
+}
+
+function getTimezone() {
+  return schedule.timezone;
+}
+
+/*
+ * The local date, weekday and time of day of an instant in the restaurant's
+ * timezone.
+ *
+ */
+function localTime(date) {
+  var parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: schedule.timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(function(part) {
+    parts[part.type] = part.value;
+  });
+
+  var dateKey = parts.year + '-' + parts.month + '-' + parts.day;
+
+  return {
+    date: dateKey,
+    weekday: weekdayOf(dateKey),
+    minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+/*
+ * Minutes the restaurant's timezone is ahead of UTC at an instant, e.g. -240
+ * in New York in the summer.
+ *
+ */
+function getUtcOffset(date) {
+  var local = localTime(date);
+  var localMs = toUTCDate(local.date).getTime() + local.minutes * 60 * 1000;
+
+  return Math.round((localMs - Math.floor(date.getTime() / 60000) * 60000) /
+    60000);
+}
+
+/*
+ * The instant of a local date and time of day in the restaurant's timezone.
+ * The offset is looked up at the instant itself, so times around a DST change
+ * come out right; a time skipped when the clocks go forward comes out an hour
+ * earlier.
+ *
+ */
+function toInstant(dateKey, minutes) {
+  var wallClock = toUTCDate(dateKey).getTime() + minutes * 60 * 1000;
+  var guess = wallClock - getUtcOffset(new Date(wallClock)) * 60 * 1000;
+
+  return new Date(wallClock - getUtcOffset(new Date(guess)) * 60 * 1000);
+}
+
+function toUTCDate(dateKey) {
+  return new Date(dateKey + 'T00:00:00Z');
+}
+
+// Whether a value is a day that exists, formatted as YYYY-MM-DD.
+function isDateKey(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  var date = toUTCDate(value);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function weekdayOf(dateKey) {
+  return toUTCDate(dateKey).getUTCDay();
+}
+
+function addDays(dateKey, days) {
+  var date = toUTCDate(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Number of days from one local date to another.
+function daysBetween(fromDateKey, toDateKey) {
+  return Math.round((toUTCDate(toDateKey) - toUTCDate(fromDateKey)) /
+    (24 * 60 * 60 * 1000));
+}
+
+/*
+ * The opening intervals of a given local date, taking holidays and overrides
+ * into account. "name" is set when the day is a holiday or has special hours.
+ *
+ */
+function getDay(dateKey) {
+  var weekday = weekdayOf(dateKey);
+  var day = {
+    date: dateKey,
+    weekday: weekday,
+    intervals: schedule.weekly[weekday],
+    name: null,
+    special: false
+  };
+
+  if (schedule.holidays[dateKey]) {
+    day.intervals = [];
+    day.name = schedule.holidays[dateKey];
+    day.special = true;
+  } else if (schedule.overrides[dateKey]) {
+    day.intervals = schedule.overrides[dateKey].intervals;
+    day.name = schedule.overrides[dateKey].name || null;
+    day.special = true;
+  }
+
+  day.closed = !day.intervals.length;
+  return day;
+}
+
+/*
+ * Whether the restaurant is open at a given instant (defaults to now).
+ * Returns { open, today, closesAt } while open, and { open, today, next }
+ * while closed, where "next" is the next opening as { date, weekday,
+ * minutes, daysAhead } (null if there's none in the next two weeks).
+ *
+ */
+function getStatus(date) {
+  var now = localTime(date || new Date());
+  var today = getDay(now.date);
+
+  var current = today.intervals.find(function(interval) {
+    return interval.open <= now.minutes && now.minutes < interval.close;
+  });
+
+  if (current) {
+    return { open: true, today: today, closesAt: current.close };
+  }
+
+  return { open: false, today: today, next: findNextOpening(now) };
+}
+
+// First interval of the day opening after the given time of day.
+function firstOpeningAfter(day, minutes) {
+  return day.intervals.find(function(interval) {
+    return interval.open > minutes;
+  });
+}
+
+function findNextOpening(now) {
+  for (var daysAhead = 0; daysAhead <= MAX_DAYS_AHEAD; daysAhead++) {
+    var day = getDay(addDays(now.date, daysAhead));
+    var next = firstOpeningAfter(day, daysAhead > 0 ? -1 : now.minutes);
+
+    if (next) {
+      return {
+        date: day.date,
+        weekday: day.weekday,
+        minutes: next.open,
+        daysAhead: daysAhead
+      };
+    }
+  }
+
+  return null;
+}
+
+/*
+ * Find the day a message refers to from its words: "today", "tonight",
+ * "tomorrow" or a weekday name (the next such day, today included). Returns
+ * a local date, or null if no day is mentioned.
+ *
+ */
+function findDay(words, date) {
+  var today = localTime(date || new Date());
+
+  for (var i = 0; i < words.length; i++) {
+    var word = words[i];
+
+    if (word === 'today' || word === 'tonight') {
+      return today.date;
+    }
+    if (word === 'tomorrow') {
+      return addDays(today.date, 1);
+    }
+    if (DAY_ALIASES.hasOwnProperty(word)) {
+      return addDays(today.date, (DAY_ALIASES[word] - today.weekday + 7) % 7);
+    }
+  }
+
+  return null;
+}
+
+/*
+ * The regular weekly schedule with consecutive days that share the same hours
+ * grouped together, starting on Sunday. Each group is
+ * { from, to, intervals } with weekday numbers.
+ *
+ */
+function getWeeklyGroups() {
+  var groups = [];
+
+  schedule.weekly.forEach(function(intervals, weekday) {
+    var last = groups[groups.length - 1];
+    if (last && JSON.stringify(last.intervals) === JSON.stringify(intervals)) {
+      last.to = weekday;
+    } else {
+      groups.push({ from: weekday, to: weekday, intervals: intervals });
+    }
+  });
+
+  return groups;
+}
+
+// Holidays and special-hours days in the given number of days from today.
+function getUpcomingSpecialDays(days, date) {
+  var today = localTime(date || new Date()).date;
+  var special = [];
+
+  for (var i = 0; i < days; i++) {
+    var day = getDay(addDays(today, i));
+    if (day.special) {
+      special.push(day);
+    }
+  }
+
+  return special;
+}
+
+// 660 -> "11:00AM", the format the restaurant uses on its menus.
+function formatTime(minutes) {
+  var hours = Math.floor(minutes / 60) % 24;
+  var suffix = hours < 12 ? 'AM' : 'PM';
+  var displayHours = hours % 12 || 12;
+
+  return ('0' + displayHours).slice(-2) + ':' + ('0' + minutes % 60).slice(-2) +
+    suffix;
+}
+
+module.exports = {
+  DAY_NAMES: DAY_NAMES,
+  load: load,
+  getTimezone: getTimezone,
+  localTime: localTime,
+  getUtcOffset: getUtcOffset,
+  toInstant: toInstant,
+  isDateKey: isDateKey,
+  addDays: addDays,
+  daysBetween: daysBetween,
+  getDay: getDay,
+  getStatus: getStatus,
+  findDay: findDay,
+  getWeeklyGroups: getWeeklyGroups,
+  getUpcomingSpecialDays: getUpcomingSpecialDays,
+  formatTime: formatTime,
+  parseTime: parseTime
+};
@@ -0,0 +1,158 @@
+/*
+ * Translations
+ *
+ * Everything the bot says, in every language it speaks, read from one bundle
+ * per language in config/locales ("en.json", "es.json", ...). Bundles are
+ * nested objects of strings, looked up by dotted keys ("welcome.title").
+ * Strings may contain {placeholders}, and a string that depends on a number
+ * is given as { "one": ..., "other": ... } and picked by the "count"
+ * parameter.
+ *
+ * Strings missing from a bundle fall back to the default language, so a
+ * language can be added before every string is translated. Names and
+ * descriptions of menu items live under "menu" in the bundles; the menu
+ * catalog itself is in the default language.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path');
+
+var bundles = {};
+var defaultLanguage = 'en';
+
+// Every dotted key leading to a string (or a one/other pair) in a bundle.
+function listKeys(bundle, prefix) {
+  return Object.keys(bundle).reduce(function(keys, name) {
+    var value = bundle[name];
+    var key = prefix ? prefix + '.' + name : name;
+
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        !('other' in value)) {
+      return keys.concat(listKeys(value, key));
+    }
+    return keys.concat([key]);
+  }, []);
+}
+
+/*
+ * Read the bundles in a directory. Throws if the default language has no
+ * bundle; keys the other bundles are missing are only logged.
+ *
+ */
+function load(dir, language) {
+  var loaded = {};
+
+  fs.readdirSync(dir).filter(function(file) {
+    return path.extname(file) === '.json';
+  }).forEach(function(file) {
+    loaded[path.basename(file, '.json')] =
+      JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+  });
+
+  if (!loaded[language]) {
+    throw new Error("No bundle for the default language '" + language + "'");
+  }
+
+  bundles = loaded;
+  defaultLanguage = language;
+
+  var keys = listKeys(bundles[language]);
+  Object.keys(bundles).forEach(function(code) {
+    var missing = keys.filter(function(key) {
+      return lookup(code, key) === undefined;
+    });
+
+    if (missing.length) {
+      console.warn("Bundle %s is missing %d strings: %s", code, missing.length,
+        missing.join(', '));
+    }
+  });
+
+  console.log("Loaded translations for %s from %s",
+    Object.keys(bundles).join(', '), dir);
+}
+
+function getDefaultLanguage() {
+  return defaultLanguage;
+}
+
+// The languages there is a bundle for, as { code, name }, default first.
+function getLanguages() {
+  return Object.keys(bundles).sort(function(a, b) {
+    return (b === defaultLanguage) - (a === defaultLanguage) ||
+      a.localeCompare(b);
+  }).map(function(code) {
+    return { code: code, name: lookup(code, 'language.name') || code };
+  });
+}
+
+function isSupported(language) {
+  return Object.prototype.hasOwnProperty.call(bundles, language);
+}
+
+/*
+ * The supported language for a Facebook locale ("es_LA", "el_GR"), or null
+ * when there is no bundle for it.
+ *
+ */
+function resolveLocale(locale) {
+  var language = String(locale || '').split(/[_-]/)[0].toLowerCase();
+  return isSupported(language) ? language : null;
+}
+
+/*
+ * The value at a dotted key in one language's bundle, without falling back
+ * to the default language. Undefined when there is none.
+ *
+ */
+function lookup(language, key) {
+  return key.split('.').reduce(function(value, name) {
+    return (value && typeof value === 'object') ? value[name] : undefined;
+  }, bundles[language]);
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, function(placeholder, name) {
+    return (params[name] !== undefined) ? String(params[name]) : placeholder;
+  });
+}
+
+/*
+ * Translate a key into a language, filling in the parameters. Falls back to
+ * the default language, and to the key itself when no bundle has it.
+ *
+ */
+function t(language, key, params) {
+  params = params || {};
+
+  var value = lookup(language, key);
+  if (value === undefined) {
+    value = lookup(defaultLanguage, key);
+  }
+  if (value === undefined) {
+    console.warn("No translation for %s", key);
+    return key;
+  }
+
+  if (value && typeof value === 'object' && 'other' in value) {
+    value = (params.count === 1 && value.one !== undefined) ? value.one :
+      value.other;
+  }
+
+  return interpolate(String(value), params);
+}
+
+module.exports = {
+  load: load,
+  getDefaultLanguage: getDefaultLanguage,
+  getLanguages: getLanguages,
+  isSupported: isSupported,
+  resolveLocale: resolveLocale,
+  lookup: lookup,
+  t: t
+};
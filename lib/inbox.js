@@ -0,0 +1,210 @@
+/*
+ * Staff Inbox
+ *
+ * Web pages where staff follow conversations with customers: the most
+ * recent conversations with the customer's last message, where they are in
+ * the bot's flows and whether they are talking to staff, and the transcript
+ * of each conversation (see transcripts.js). From the transcript staff can
+ * reply with a text, send the menu card or give the conversation back to the
+ * bot. Staff sign in with the admin token (see admin-auth.js).
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  adminAuth = require('./admin-auth'),
+  bodyParser = require('body-parser'),
+  express = require('express'),
+  handoffs = require('./handoffs'),
+  transcripts = require('./transcripts'),
+  userProfiles = require('./user-profiles');
+
+// Conversations listed on the inbox page.
+const CONVERSATIONS_SHOWN = 50;
+
+function customerName(psid) {
+  var profile = userProfiles.peek(psid);
+  return profile && profile.firstName ? profile.firstName : psid;
+}
+
+function formatTime(timestamp) {
+  return timestamp ?
+    new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' :
+    '';
+}
+
+/*
+ * Load the session of each conversation. A session that can't be read is
+ * shown as no session rather than failing the whole page.
+ *
+ */
+function withSessions(sessionStore, conversations, callback) {
+  var sessions = {};
+  var pending = conversations.length;
+
+  if (!pending) {
+    callback(sessions);
+    return;
+  }
+
+  conversations.forEach(function(conversation) {
+    sessionStore.get(conversation.psid, function(err, session) {
+      if (err) {
+        console.error("Failed loading session for user %s: %s",
+          conversation.psid, err.message);
+      }
+
+      sessions[conversation.psid] = err ? null : session;
+      if (--pending === 0) {
+        callback(sessions);
+      }
+    });
+  });
+}
+
+/*
+ * Options:
+ *   adminToken   - token staff sign in with
+ *   sessionTtl   - milliseconds staff stay signed in
+ *   sessionStore - the conversation session store, to show the flow state
+ *   send         - function(messageData, callback) sending a staff message
+ *   sendMenu     - function(psid) sending the menu card
+ *   endHandoff   - function(psid) giving the conversation back to the bot;
+ *                  returns the handoff, or null if there was none
+ *
+ */
+function createInbox(options) {
+  var router = express.Router();
+  var form = bodyParser.urlencoded({ extended: false });
+
+  router.get('/login', function(req, res) {
+    res.render('inbox-login', { error: null });
+  });
+
+  router.post('/login', form, function(req, res) {
+    if (!adminAuth.isAdminToken(req.body.token, options.adminToken)) {
+      console.error("Failed sign in to the staff inbox");
+      res.status(401).render('inbox-login', { error: "Wrong token." });
+      return;
+    }
+
+    res.cookie(adminAuth.STAFF_SESSION_COOKIE,
+      adminAuth.createStaffSession(options.adminToken, options.sessionTtl), {
+        path: req.baseUrl,
+        maxAge: options.sessionTtl,
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: 'strict'
+      });
+    res.redirect(303, req.baseUrl);
+  });
+
+  router.post('/logout', function(req, res) {
+    res.clearCookie(adminAuth.STAFF_SESSION_COOKIE, { path: req.baseUrl });
+    res.redirect(303, req.baseUrl + '/login');
+  });
+
+  router.use(function(req, res, next) {
+    adminAuth.requireStaffSession(options.adminToken,
+      req.baseUrl + '/login')(req, res, next);
+  });
+
+  router.use(function(req, res, next) {
+    res.locals.formatTime = formatTime;
+    next();
+  });
+
+  router.get('/', function(req, res) {
+    var conversations = transcripts.listRecent(CONVERSATIONS_SHOWN);
+
+    withSessions(options.sessionStore, conversations, function(sessions) {
+      res.render('inbox', {
+        conversations: conversations.map(function(conversation) {
+          return {
+            psid: conversation.psid,
+            name: customerName(conversation.psid),
+            lastInbound: conversation.lastInbound,
+            lastMessageAt: conversation.lastMessageAt,
+            session: sessions[conversation.psid],
+            handoff: handoffs.get(conversation.psid)
+          };
+        })
+      });
+    });
+  });
+
+  router.get('/:psid', function(req, res) {
+    var conversation = transcripts.get(req.params.psid);
+    if (!conversation) {
+      res.status(404).send("Unknown conversation");
+      return;
+    }
+
+    res.render('inbox-conversation', {
+      psid: conversation.psid,
+      name: customerName(conversation.psid),
+      messages: conversation.messages,
+      handoff: handoffs.get(conversation.psid),
+      error: req.query.error || null
+    });
+  });
+
+  // Form field "text", sent to the customer as is.
+  router.post('/:psid/messages', form, function(req, res) {
+    var psid = req.params.psid;
+    var text = req.body.text;
+    var conversationUrl = req.baseUrl + '/' + encodeURIComponent(psid);
+
+    if (!transcripts.get(psid)) {
+      res.status(404).send("Unknown conversation");
+      return;
+    }
+    if (typeof text !== 'string' || !text.trim()) {
+      res.redirect(303, conversationUrl + '?error=empty');
+      return;
+    }
+
+    handoffs.touch(psid);
+    options.send({
+      recipient: { id: psid },
+      message: { text: text }
+    }, function(err) {
+      if (err) {
+        console.error("Failed sending staff message to user %s: %s", psid,
+          err.message);
+        res.redirect(303, conversationUrl + '?error=send');
+        return;
+      }
+
+      res.redirect(303, conversationUrl);
+    });
+  });
+
+  router.post('/:psid/menu', function(req, res) {
+    var psid = req.params.psid;
+
+    if (!transcripts.get(psid)) {
+      res.status(404).send("Unknown conversation");
+      return;
+    }
+
+    handoffs.touch(psid);
+    options.sendMenu(psid);
+    res.redirect(303, req.baseUrl + '/' + encodeURIComponent(psid));
+  });
+
+  router.post('/:psid/end', function(req, res) {
+    var psid = req.params.psid;
+
+    if (options.endHandoff(psid)) {
+      console.log("Staff handed user %s back to the bot from the inbox", psid);
+    }
+    res.redirect(303, req.baseUrl + '/' + encodeURIComponent(psid));
+  });
+
+  return router;
+}
+
+module.exports = createInbox;
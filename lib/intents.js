@@ -0,0 +1,204 @@
+/*
+ * Intent Matching
+ *
+ * Maps free text to one of the intents defined in config/intents.json. The
+ * text is lowercased, stripped of punctuation and apostrophes, rewritten with
+ * the configured synonyms and stopwords are dropped. The remaining words are
+ * compared with the training phrases of every intent, allowing small typos
+ * ("mneu", "specail"). An intent scores between 0 and 1:
+ *
+ *   - it matches when its score reaches "threshold" and no other intent
+ *     scores within "ambiguityMargin" of it;
+ *   - otherwise, intents scoring at least "clarifyThreshold" are returned as
+ *     candidates so the bot can ask the user which one they meant.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs');
+
+// Share of an intent's score coming from how much of the training phrase was
+// found in the message; the rest is how much of the message was explained.
+const PHRASE_WEIGHT = 0.7;
+
+// A word matched with a typo counts for less than an exact match.
+const TYPO_WEIGHT = 0.8;
+
+function tokenize(text) {
+  return String(text).toLowerCase()
+    .replace(/['`\u2018\u2019]/g, '')
+    .replace(/[^a-z0-9\u00c0-\u024f\u0370-\u03ff]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/*
+ * Edit distance allowing insertions, deletions, substitutions and swaps of two
+ * adjacent letters (optimal string alignment distance).
+ *
+ */
+function editDistance(a, b) {
+  var rows = [];
+  var i, j;
+
+  for (i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (i = 1; i <= a.length; i++) {
+    for (j = 1; j <= b.length; j++) {
+      var cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Short words must match exactly; longer ones may have a typo or two.
+function allowedTypos(word) {
+  if (word.length <= 3) {
+    return 0;
+  }
+  return word.length <= 6 ? 1 : 2;
+}
+
+// 1 for the same word, TYPO_WEIGHT for a close misspelling, 0 otherwise.
+function wordSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  var typos = Math.min(allowedTypos(a), allowedTypos(b));
+  if (typos && Math.abs(a.length - b.length) <= typos &&
+      editDistance(a, b) <= typos) {
+    return TYPO_WEIGHT;
+  }
+
+  return 0;
+}
+
+function bestSimilarity(word, words) {
+  return words.reduce(function(best, other) {
+    return Math.max(best, wordSimilarity(word, other));
+  }, 0);
+}
+
+function scorePhrase(phraseWords, messageWords) {
+  if (!phraseWords.length || !messageWords.length) {
+    return 0;
+  }
+
+  var phraseScore = phraseWords.reduce(function(sum, word) {
+    return sum + bestSimilarity(word, messageWords);
+  }, 0) / phraseWords.length;
+
+  var messageScore = messageWords.reduce(function(sum, word) {
+    return sum + bestSimilarity(word, phraseWords);
+  }, 0) / messageWords.length;
+
+  return PHRASE_WEIGHT * phraseScore + (1 - PHRASE_WEIGHT) * messageScore;
+}
+
+/*
+ * Build a matcher from an intents configuration (the parsed contents of
+ * config/intents.json).
+ *
+ */
+function createIntentMatcher(intentConfig) {
+  var synonyms = intentConfig.synonyms || {};
+  var stopwords = intentConfig.stopwords || [];
+  var threshold = intentConfig.threshold;
+  var clarifyThreshold = intentConfig.clarifyThreshold;
+  var ambiguityMargin = intentConfig.ambiguityMargin;
+
+  function normalize(text) {
+    return tokenize(text).map(function(word) {
+      return synonyms[word] || word;
+    }).filter(function(word) {
+      return stopwords.indexOf(word) === -1;
+    });
+  }
+
+  var intents = Object.keys(intentConfig.intents).map(function(name) {
+    var intent = intentConfig.intents[name];
+    return {
+      name: name,
+      label: intent.label || name,
+      phrases: intent.phrases.map(normalize)
+    };
+  });
+
+  /*
+   * Returns { intent, score, candidates }. "intent" is the matched intent
+   * name, or null when nothing matched confidently; "candidates" lists the
+   * plausible intents ({ name, label, score }) best first, for asking a
+   * clarifying question.
+   *
+   */
+  function match(text) {
+    var words = normalize(text);
+
+    var scored = intents.map(function(intent) {
+      return {
+        name: intent.name,
+        label: intent.label,
+        score: intent.phrases.reduce(function(best, phraseWords) {
+          return Math.max(best, scorePhrase(phraseWords, words));
+        }, 0)
+      };
+    }).filter(function(candidate) {
+      return candidate.score >= clarifyThreshold;
+    }).sort(function(a, b) {
+      return b.score - a.score;
+    });
+
+    var best = scored[0];
+    var runnerUp = scored[1];
+    var confident = best && best.score >= threshold &&
+      (!runnerUp || best.score - runnerUp.score > ambiguityMargin);
+
+    return {
+      intent: confident ? best.name : null,
+      score: best ? best.score : 0,
+      candidates: scored
+    };
+  }
+
+  function getLabel(name) {
+    var intent = intents.find(function(intent) {
+      return intent.name === name;
+    });
+    return intent ? intent.label : name;
+  }
+
+  return {
+    match: match,
+    getLabel: getLabel
+  };
+}
+
+function loadIntentMatcher(file) {
+  return createIntentMatcher(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+module.exports = {
+  tokenize: tokenize,
+  editDistance: editDistance,
+  createIntentMatcher: createIntentMatcher,
+  loadIntentMatcher: loadIntentMatcher
+};
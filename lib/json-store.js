@@ -0,0 +1,81 @@
+/*
+ * JSON File Store
+ *
+ * A small key/value store persisted as a single JSON file. The whole file is
+ * kept in memory and rewritten on every change, which is plenty for the
+ * volume of a single restaurant.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path');
+
+function ensureDir(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+
+  ensureDir(path.dirname(dir));
+  fs.mkdirSync(dir);
+}
+
+function readRecords(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+}
+
+function createStore(file) {
+  ensureDir(path.dirname(file));
+
+  var records = readRecords(file);
+
+  function save() {
+    // Write to a temporary file first so a crash mid-write can't leave a
+    // truncated store behind.
+    var tmpFile = file + '.tmp';
+    fs.writeFileSync(tmpFile, JSON.stringify(records, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  return {
+    get: function(key) {
+      return records[key];
+    },
+
+    set: function(key, value) {
+      records[key] = value;
+      save();
+      return value;
+    },
+
+    remove: function(key) {
+      delete records[key];
+      save();
+    },
+
+    keys: function() {
+      return Object.keys(records);
+    },
+
+    values: function() {
+      return Object.keys(records).map(function(key) {
+        return records[key];
+      });
+    }
+  };
+}
+
+module.exports = {
+  ensureDir: ensureDir,
+  createStore: createStore
+};
@@ -0,0 +1,319 @@
+/*
+ * Loyalty Program
+ *
+ * Loyalty members (see members.js) earn points for their orders once they are
+ * picked up and for checking in at the restaurant, and spend them on
+ * rewards. Checking in takes the day's code shown at the counter, which is
+ * derived from the app secret and the date, so it can't be guessed from
+ * outside the restaurant. The earning rules and the rewards come from the
+ * program file. Every change to a balance is an entry in the points ledger,
+ * a JSON lines file in the data directory that is only ever appended to:
+ * entries are never changed or removed, and each records the balance it left
+ * behind, so any balance can be audited from the entries before it.
+ *
+ * Redeeming a reward spends the points right away and issues a one-time code
+ * that staff verify at the counter through the admin API. Redemptions are
+ * kept in a JSON file in the data directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  fs = require('fs'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+// No 0/O or 1/I, so codes can be read out loud at the counter.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+var program = null;
+var secret = null;
+var ledgerFile = null;
+var ledger = [];
+var redemptions = null;
+
+/*
+ * Options:
+ *   dataDir - where to keep the ledger and the redemptions
+ *   secret  - key the daily check-in codes are derived from
+ *
+ */
+function init(options) {
+  secret = options.secret;
+  ledgerFile = path.join(options.dataDir, 'points-ledger.jsonl');
+  redemptions = jsonStore.createStore(
+    path.join(options.dataDir, 'redemptions.json'));
+
+  var text = fs.existsSync(ledgerFile) ?
+    fs.readFileSync(ledgerFile, 'utf8') : '';
+
+  // Lines that don't parse, like one cut short by a crash, are skipped.
+  ledger = text.split('\n').filter(Boolean).reduce(function(ledger, line) {
+    try {
+      ledger.push(JSON.parse(line));
+    } catch (err) {
+      console.error("Skipped an unreadable line in %s: %s", ledgerFile, line);
+    }
+    return ledger;
+  }, []);
+
+  // Finish a line cut short, so the next entry starts a new one.
+  if (text && text[text.length - 1] !== '\n') {
+    fs.appendFileSync(ledgerFile, '\n');
+  }
+}
+
+function validatePoints(value, name) {
+  if (typeof value !== 'number' || value < 0 || value % 1 !== 0) {
+    throw new Error(name + " must be a whole number of points");
+  }
+}
+
+/*
+ * Load the program file: points per currency unit spent, points for a
+ * check-in (at most one a day) and the rewards on offer. Throws if it isn't
+ * valid.
+ *
+ */
+function load(file) {
+  var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (typeof data.pointsPerDollar !== 'number' || data.pointsPerDollar < 0) {
+    throw new Error("pointsPerDollar must be a non-negative number");
+  }
+  validatePoints(data.checkInPoints, "checkInPoints");
+
+  var ids = {};
+  var rewards = (data.rewards || []).map(function(reward) {
+    if (!reward.id || ids[reward.id]) {
+      throw new Error("Every reward needs a unique id");
+    }
+    ids[reward.id] = true;
+    validatePoints(reward.points, "Points of reward " + reward.id);
+
+    return {
+      id: reward.id,
+      title: reward.title,
+      description: reward.description || '',
+      imageUrl: reward.imageUrl || null,
+      points: reward.points
+    };
+  });
+
+  program = {
+    pointsPerDollar: data.pointsPerDollar,
+    checkInPoints: data.checkInPoints,
+    rewards: rewards
+  };
+
+  console.log("Loaded a loyalty program with %d rewards from %s",
+    rewards.length, file);
+
+  return program;
+}
+
+function getRewards() {
+  return program.rewards;
+}
+
+function getReward(id) {
+  return program.rewards.find(function(reward) {
+    return reward.id === id;
+  }) || null;
+}
+
+function getBalance(memberId) {
+  for (var i = ledger.length - 1; i >= 0; i--) {
+    if (ledger[i].memberId === memberId) {
+      return ledger[i].balance;
+    }
+  }
+
+  return 0;
+}
+
+// Ledger entries, oldest first, optionally for one member only.
+function getLedger(memberId) {
+  return ledger.filter(function(entry) {
+    return !memberId || entry.memberId === memberId;
+  });
+}
+
+/*
+ * Append an entry to the ledger. "points" is positive for points earned and
+ * negative for points spent; "reason" is "order", "check_in" or "reward" and
+ * "ref" the order id, day or redemption code it was for.
+ *
+ */
+function append(memberId, points, reason, ref) {
+  var entry = {
+    id: 'P' + (1001 + ledger.length),
+    memberId: memberId,
+    points: points,
+    balance: getBalance(memberId) + points,
+    reason: reason,
+    ref: ref,
+    createdAt: Date.now()
+  };
+
+  fs.appendFileSync(ledgerFile, JSON.stringify(entry) + '\n');
+  ledger.push(entry);
+
+  console.log("Loyalty member %s %s %d points for %s %s, balance %d",
+    memberId, points < 0 ? 'spent' : 'earned', Math.abs(points), reason, ref,
+    entry.balance);
+
+  return entry;
+}
+
+/*
+ * Award the points for an order. Returns the ledger entry, or null when the
+ * order is worth no points or was already rewarded.
+ *
+ */
+function earnForOrder(memberId, order) {
+  var points = Math.floor(order.total * program.pointsPerDollar);
+  var rewarded = ledger.some(function(entry) {
+    return entry.reason === 'order' && entry.ref === order.id;
+  });
+
+  if (!points || rewarded) {
+    return null;
+  }
+
+  return append(memberId, points, 'order', order.id);
+}
+
+function toCode(bytes) {
+  var code = '';
+
+  for (var i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+
+  return code;
+}
+
+// The check-in code staff show at the counter on a day (YYYY-MM-DD).
+function getCheckInCode(dateKey) {
+  return toCode(crypto.createHmac('sha256', secret)
+    .update('check-in.' + dateKey).digest());
+}
+
+function hasCheckedIn(memberId, dateKey) {
+  return ledger.some(function(entry) {
+    return entry.memberId === memberId && entry.reason === 'check_in' &&
+      entry.ref === dateKey;
+  });
+}
+
+/*
+ * Award the points for checking in on a day (YYYY-MM-DD in the restaurant's
+ * timezone) with the code shown at the counter. Returns { entry }, or
+ * { error } with "code" when the code isn't that day's or "checkedIn" if the
+ * member already checked in that day.
+ *
+ */
+function checkIn(memberId, dateKey, code) {
+  if (String(code || '').replace(/\s+/g, '').toUpperCase() !==
+      getCheckInCode(dateKey)) {
+    return { error: 'code' };
+  }
+  if (hasCheckedIn(memberId, dateKey)) {
+    return { error: 'checkedIn' };
+  }
+
+  return {
+    entry: append(memberId, program.checkInPoints, 'check_in', dateKey)
+  };
+}
+
+function newCode() {
+  var code = toCode(crypto.randomBytes(CODE_LENGTH));
+  return redemptions.get(code) ? newCode() : code;
+}
+
+/*
+ * Spend a member's points on a reward. Returns { redemption, entry }, or
+ * { error } with "unknown" for a reward that isn't on offer or "balance"
+ * (and the points still "needed") when the member can't afford it.
+ *
+ */
+function redeem(memberId, rewardId) {
+  var reward = getReward(rewardId);
+  if (!reward) {
+    return { error: 'unknown' };
+  }
+
+  var balance = getBalance(memberId);
+  if (balance < reward.points) {
+    return { error: 'balance', needed: reward.points - balance };
+  }
+
+  var redemption = {
+    code: newCode(),
+    memberId: memberId,
+    rewardId: reward.id,
+    rewardTitle: reward.title,
+    points: reward.points,
+    status: 'issued',
+    createdAt: Date.now(),
+    usedAt: null
+  };
+  redemptions.set(redemption.code, redemption);
+
+  return {
+    redemption: redemption,
+    entry: append(memberId, -reward.points, 'reward', redemption.code)
+  };
+}
+
+// Redemptions, newest first, optionally only "issued" or "used" ones.
+function getRedemptions(status) {
+  return redemptions.values().filter(function(redemption) {
+    return !status || redemption.status === status;
+  }).sort(function(a, b) {
+    return b.createdAt - a.createdAt;
+  });
+}
+
+/*
+ * Check a redemption code at the counter and use it up. Returns
+ * { redemption }, or { error } with "unknown" or "used" (and the redemption).
+ *
+ */
+function useRedemption(code) {
+  var redemption = redemptions.get(String(code || '').toUpperCase());
+  if (!redemption) {
+    return { error: 'unknown' };
+  }
+  if (redemption.status === 'used') {
+    return { error: 'used', redemption: redemption };
+  }
+
+  redemption.status = 'used';
+  redemption.usedAt = Date.now();
+  redemptions.set(redemption.code, redemption);
+
+  return { redemption: redemption };
+}
+
+module.exports = {
+  init: init,
+  load: load,
+  getRewards: getRewards,
+  getReward: getReward,
+  getBalance: getBalance,
+  getLedger: getLedger,
+  earnForOrder: earnForOrder,
+  getCheckInCode: getCheckInCode,
+  hasCheckedIn: hasCheckedIn,
+  checkIn: checkIn,
+  redeem: redeem,
+  getRedemptions: getRedemptions,
+  useRedemption: useRedemption
+};
@@ -0,0 +1,220 @@
+/*
+ * Loyalty Members
+ *
+ * Members of the loyalty program. Staff create them through the admin API;
+ * members sign in with their email and password on the account linking page
+ * to link their Messenger conversation to their account. A member is linked
+ * to at most one PSID at a time. Passwords are stored as salted PBKDF2
+ * hashes, computed off the event loop so a sign in doesn't hold up the
+ * webhook. Kept in a JSON file in the data directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  crypto = require('crypto'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+const HASH_ITERATIONS = 100000;
+const HASH_LENGTH = 32;
+const MIN_PASSWORD_LENGTH = 8;
+
+var members = null;
+
+function init(options) {
+  members = jsonStore.createStore(path.join(options.dataDir, 'members.json'));
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Calls back with the hash as a Buffer.
+function hashPassword(password, salt, callback) {
+  crypto.pbkdf2(String(password), salt, HASH_ITERATIONS, HASH_LENGTH,
+    'sha256', callback);
+}
+
+// A member as shown outside this module, without the password hash.
+function toPublic(member) {
+  return member && {
+    id: member.id,
+    email: member.email,
+    name: member.name,
+    psid: member.psid,
+    linkedAt: member.linkedAt,
+    createdAt: member.createdAt
+  };
+}
+
+function findByEmail(email) {
+  var normalized = normalizeEmail(email);
+  return members.values().find(function(member) {
+    return member.email === normalized;
+  }) || null;
+}
+
+// Check the fields of a new member. Returns the error, or null.
+function validate(email, name, password) {
+  if (!/^[^\s@]+@[^\s@]+$/.test(email)) {
+    return 'email';
+  }
+  if (!name) {
+    return 'name';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return 'password';
+  }
+  if (findByEmail(email)) {
+    return 'exists';
+  }
+
+  return null;
+}
+
+/*
+ * Add a member. Calls back with { member }, or { error } with "email",
+ * "name", "password" when that field isn't acceptable or "exists" when the
+ * email is taken.
+ *
+ */
+function create(fields, callback) {
+  var email = normalizeEmail(fields.email);
+  var name = typeof fields.name === 'string' ? fields.name.trim() : '';
+  var error = validate(email, name, fields.password);
+
+  if (error) {
+    process.nextTick(callback, null, { error: error });
+    return;
+  }
+
+  var salt = crypto.randomBytes(16).toString('hex');
+  hashPassword(fields.password, salt, function(err, hash) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    // The email may have been taken while hashing.
+    if (findByEmail(email)) {
+      callback(null, { error: 'exists' });
+      return;
+    }
+
+    var member = {
+      id: 'M' + (1001 + members.keys().length),
+      email: email,
+      name: name,
+      salt: salt,
+      passwordHash: hash.toString('hex'),
+      psid: null,
+      linkedAt: null,
+      createdAt: Date.now()
+    };
+    members.set(member.id, member);
+
+    callback(null, { member: toPublic(member) });
+  });
+}
+
+/*
+ * Call back with the member with this email and password, or null when
+ * either is wrong. Unknown emails take as long as wrong passwords, so they
+ * can't be told apart by timing.
+ *
+ */
+function authenticate(email, password, callback) {
+  var member = findByEmail(email);
+  var salt = member ? member.salt : crypto.randomBytes(16).toString('hex');
+
+  if (typeof password !== 'string') {
+    process.nextTick(callback, null, null);
+    return;
+  }
+
+  hashPassword(password, salt, function(err, given) {
+    if (err) {
+      callback(err);
+      return;
+    }
+    if (!member) {
+      callback(null, null);
+      return;
+    }
+
+    var expected = Buffer.from(member.passwordHash, 'hex');
+    callback(null, crypto.timingSafeEqual(given, expected) ?
+      toPublic(member) : null);
+  });
+}
+
+function get(id) {
+  return toPublic(members.get(id)) || null;
+}
+
+function list() {
+  return members.values().map(toPublic);
+}
+
+// The member linked to a Messenger user, or null.
+function getByPsid(psid) {
+  return toPublic(members.values().find(function(member) {
+    return member.psid === psid;
+  })) || null;
+}
+
+/*
+ * Bind a Messenger user to a member, replacing whatever either was linked to
+ * before. Returns the member, or null if there is no such member.
+ *
+ */
+function link(id, psid) {
+  var member = members.get(id);
+  if (!member) {
+    return null;
+  }
+
+  unlink(psid);
+
+  member.psid = psid;
+  member.linkedAt = Date.now();
+  members.set(member.id, member);
+
+  console.log("Linked user %s to loyalty member %s", psid, member.id);
+  return toPublic(member);
+}
+
+/*
+ * Remove the binding of a Messenger user. Returns the member they were
+ * linked to, or null if they weren't.
+ *
+ */
+function unlink(psid) {
+  var member = members.values().find(function(member) {
+    return member.psid === psid;
+  });
+  if (!member) {
+    return null;
+  }
+
+  member.psid = null;
+  member.linkedAt = null;
+  members.set(member.id, member);
+
+  console.log("Unlinked user %s from loyalty member %s", psid, member.id);
+  return toPublic(member);
+}
+
+module.exports = {
+  init: init,
+  create: create,
+  authenticate: authenticate,
+  get: get,
+  list: list,
+  getByPsid: getByPsid,
+  link: link,
+  unlink: unlink
+};
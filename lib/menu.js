@@ -0,0 +1,323 @@
+/*
+ * Menu Catalog
+ *
+ * Categories, items, prices and images are kept in a JSON file (see
+ * config/menu.json) instead of being hardcoded into the carousels. The file is
+ * read once at startup and re-read whenever it changes on disk, so a price or
+ * photo update doesn't need a redeploy. Changes made through the admin API are
+ * applied in memory right away and saved as overrides in the data directory
+ * (menu-overrides.json): the fields changed for each item, the items added
+ * and the order of the items. They are laid over the file every time it is
+ * loaded, so they survive redeploys while the fields staff never touched
+ * still follow the file.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var catalogFile = null;
+var catalog = { categories: [], items: [] };
+
+// "items": the changed fields by item id (all of them for added items),
+// "order": the item ids in the order staff put them.
+var overrides = null;
+
+/*
+ * Put the listed items first, in the given order; the others keep their
+ * relative order after them.
+ *
+ */
+function orderItems(items, itemIds) {
+  var listed = itemIds.map(function(itemId) {
+    return items.find(function(item) {
+      return item.id === itemId;
+    });
+  }).filter(Boolean);
+  var rest = items.filter(function(item) {
+    return itemIds.indexOf(item.id) === -1;
+  });
+
+  return listed.concat(rest);
+}
+
+// The items of the file with the admin API's changes laid over them.
+function applyOverrides(fileItems) {
+  var changes = overrides.get('items') || {};
+  var items = fileItems.map(function(item) {
+    return Object.assign({}, item, changes[item.id]);
+  });
+  var added = Object.keys(changes).filter(function(itemId) {
+    return !fileItems.some(function(item) {
+      return item.id === itemId;
+    });
+  }).map(function(itemId) {
+    return Object.assign({ id: itemId }, changes[itemId]);
+  });
+
+  return orderItems(items.concat(added), overrides.get('order') || []);
+}
+
+/*
+ * Read and parse the catalog file, and apply the overrides saved in
+ * options.dataDir. Throws if the file is missing or is not valid JSON, so a
+ * broken catalog is caught at startup.
+ *
+ */
+function load(file, options) {
+  var data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (options) {
+    overrides = jsonStore.createStore(
+      path.join(options.dataDir, 'menu-overrides.json'));
+  }
+
+  catalogFile = file;
+  catalog = {
+    currency: data.currency || 'USD',
+    phoneNumber: data.phoneNumber,
+    categories: data.categories || [],
+    items: applyOverrides(data.items || [])
+  };
+
+  console.log("Loaded menu catalog with %d categories and %d items from %s",
+    catalog.categories.length, catalog.items.length, file);
+
+  return catalog;
+}
+
+/*
+ * Watch the catalog file and reload it when it changes. A file that fails to
+ * parse (e.g. saved half way through an edit) is logged and the previous
+ * catalog is kept.
+ *
+ */
+function watch() {
+  fs.watchFile(catalogFile, { persistent: false, interval: 1000 },
+    function(curr, prev) {
+      if (curr.mtime.getTime() === prev.mtime.getTime()) {
+        return;
+      }
+
+      try {
+        load(catalogFile);
+      } catch (err) {
+        console.error("Failed reloading menu catalog from %s: %s",
+          catalogFile, err.message);
+      }
+    });
+}
+
+function unwatch() {
+  if (catalogFile) {
+    fs.unwatchFile(catalogFile);
+  }
+}
+
+function getCurrency() {
+  return catalog.currency;
+}
+
+function getPhoneNumber() {
+  return catalog.phoneNumber;
+}
+
+function getCategories() {
+  return catalog.categories;
+}
+
+function getCategory(categoryId) {
+  return catalog.categories.find(function(category) {
+    return category.id === categoryId;
+  });
+}
+
+function getItem(itemId) {
+  return catalog.items.find(function(item) {
+    return item.id === itemId;
+  });
+}
+
+// All items, including retired ones, in catalog order.
+function getItems() {
+  return catalog.items;
+}
+
+/*
+ * Items carrying the given tag (e.g. "special", "daily" or "party"), in the
+ * order they appear in the catalog. Retired items are left out.
+ *
+ */
+function getItemsByTag(tag) {
+  return catalog.items.filter(function(item) {
+    return !item.retired && (item.tags || []).indexOf(tag) !== -1;
+  });
+}
+
+/*
+ * Where the "Checkout" button of an item points to: its own URL if it has
+ * one, otherwise the online ordering page of its category.
+ *
+ */
+function getItemUrl(item) {
+  if (item.url) {
+    return item.url;
+  }
+
+  var category = getCategory(item.categoryId);
+  return category ? category.url : undefined;
+}
+
+// A price in the catalog's currency, e.g. "$12.50" or "€12.50".
+function formatPrice(price) {
+  if (typeof price !== 'number') {
+    return '';
+  }
+
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: catalog.currency
+  }).format(price);
+}
+
+// Save the changed fields of items, by item id, on top of those changed
+// before.
+function saveItemChanges(changesById) {
+  var items = overrides.get('items') || {};
+  Object.keys(changesById).forEach(function(itemId) {
+    items[itemId] = Object.assign({}, items[itemId], changesById[itemId]);
+  });
+  overrides.set('items', items);
+}
+
+function slugify(text) {
+  return String(text).toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'item';
+}
+
+/*
+ * Add an item to the end of the catalog. An id is derived from the title when
+ * none is given; a numeric suffix keeps it unique.
+ *
+ */
+function addItem(fields) {
+  var baseId = fields.id || slugify(fields.title);
+  var id = baseId;
+  var suffix = 2;
+
+  while (getItem(id)) {
+    id = baseId + '-' + suffix++;
+  }
+
+  var item = Object.assign({ id: id, tags: [] }, fields, { id: id });
+  catalog.items.push(item);
+  saveItemChanges({ [id]: item });
+
+  return item;
+}
+
+function updateItem(itemId, changes) {
+  var item = getItem(itemId);
+  if (!item) {
+    return null;
+  }
+
+  var saved = {};
+  Object.keys(changes).forEach(function(key) {
+    if (key !== 'id') {
+      item[key] = saved[key] = changes[key];
+    }
+  });
+  saveItemChanges({ [itemId]: saved });
+
+  return item;
+}
+
+/*
+ * Retired items stay in the catalog (so old links and orders still resolve)
+ * but are no longer shown in any carousel.
+ *
+ */
+function retireItem(itemId) {
+  return updateItem(itemId, { retired: true });
+}
+
+/*
+ * Move the given items to the front of the catalog, in the given order. Items
+ * that are not listed keep their relative order after them. Returns the ids
+ * that don't exist, if any, without changing anything.
+ *
+ */
+function reorderItems(itemIds) {
+  var unknown = itemIds.filter(function(itemId) {
+    return !getItem(itemId);
+  });
+  if (unknown.length) {
+    return unknown;
+  }
+
+  catalog.items = orderItems(catalog.items, itemIds);
+  overrides.set('order', catalog.items.map(function(item) {
+    return item.id;
+  }));
+
+  return [];
+}
+
+/*
+ * Make exactly the given items carry a tag: it is added to the listed items
+ * and removed from every other one.
+ *
+ */
+function setTaggedItems(tag, itemIds) {
+  var unknown = itemIds.filter(function(itemId) {
+    return !getItem(itemId);
+  });
+  if (unknown.length) {
+    return unknown;
+  }
+
+  var changes = {};
+  catalog.items.forEach(function(item) {
+    var tags = item.tags || [];
+    var tagged = tags.indexOf(tag) !== -1;
+
+    if (tagged === (itemIds.indexOf(item.id) !== -1)) {
+      return;
+    }
+
+    item.tags = tagged ? tags.filter(function(t) {
+      return t !== tag;
+    }) : tags.concat(tag);
+    changes[item.id] = { tags: item.tags };
+  });
+  saveItemChanges(changes);
+
+  return [];
+}
+
+module.exports = {
+  load: load,
+  watch: watch,
+  unwatch: unwatch,
+  getCurrency: getCurrency,
+  getPhoneNumber: getPhoneNumber,
+  getCategories: getCategories,
+  getCategory: getCategory,
+  getItem: getItem,
+  getItems: getItems,
+  getItemsByTag: getItemsByTag,
+  getItemUrl: getItemUrl,
+  formatPrice: formatPrice,
+  addItem: addItem,
+  updateItem: updateItem,
+  retireItem: retireItem,
+  reorderItems: reorderItems,
+  setTaggedItems: setTaggedItems
+};
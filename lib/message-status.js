@@ -0,0 +1,313 @@
+/*
+ * Message Status
+ *
+ * What became of each message the Send API accepted: sent, then delivered,
+ * then read. Messenger reports deliveries with the ids of the messages
+ * delivered and a watermark, and reads with a watermark only; every message
+ * to the user sent before the watermark counts as delivered or read. A
+ * message only ever moves forward, so a late delivery doesn't undo a read.
+ * Messages sent as part of a campaign (e.g. the daily special broadcast)
+ * carry its name, so campaigns can be reported on.
+ *
+ * Sent messages and the status changes of each delivery or read event are
+ * appended to a JSON lines file in the data directory, and the messages are
+ * rebuilt from it on startup. In memory they are indexed by message id and
+ * by user, so a watermark only looks at that user's messages. Pruning
+ * appends a line too, and rewrites the file with a line per message once it
+ * has grown to twice that.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path');
+
+const STATUSES = ['sent', 'delivered', 'read'];
+
+var statusFile = null;
+var byId = Object.create(null);
+var byPsid = Object.create(null);
+
+// Lines in the file, to tell when it is worth compacting.
+var lineCount = 0;
+
+function addMessage(message) {
+  byId[message.messageId] = message;
+  (byPsid[message.psid] = byPsid[message.psid] || []).push(message);
+}
+
+// Apply a line of the file: a message, messages that moved to a status, or
+// a prune.
+function applyLine(line) {
+  if (line.type === 'message') {
+    var message = Object.assign({}, line);
+    delete message.type;
+    addMessage(message);
+    return;
+  }
+  if (line.type === 'prune') {
+    forgetBefore(line.before);
+    return;
+  }
+
+  line.messageIds.forEach(function(messageId) {
+    var message = byId[messageId];
+    if (message) {
+      setStatus(message, line.type, line.at);
+    }
+  });
+}
+
+function appendLines(lines) {
+  try {
+    fs.appendFileSync(statusFile, lines.map(function(line) {
+      return JSON.stringify(line) + '\n';
+    }).join(''));
+    lineCount += lines.length;
+  } catch (err) {
+    console.error("Failed recording message status: %s", err.message);
+  }
+}
+
+function init(options) {
+  statusFile = path.join(options.dataDir, 'message-status.jsonl');
+  byId = Object.create(null);
+  byPsid = Object.create(null);
+
+  var text = fs.existsSync(statusFile) ?
+    fs.readFileSync(statusFile, 'utf8') : '';
+  var lines = text.split('\n').filter(Boolean);
+  lineCount = lines.length;
+
+  // Lines that don't parse, like one cut short by a crash, are skipped.
+  lines.forEach(function(line) {
+    try {
+      applyLine(JSON.parse(line));
+    } catch (err) {
+      console.error("Skipped an unreadable line in %s", statusFile);
+    }
+  });
+
+  // Finish a line cut short, so the next one starts a new line.
+  if (text && text[text.length - 1] !== '\n') {
+    fs.appendFileSync(statusFile, '\n');
+  }
+}
+
+/*
+ * Record a message the Send API accepted. Fields: messageId, psid, sentAt
+ * and, optionally, campaign and ref (which run of the campaign, e.g. the day
+ * of a daily special). sentAt should be when the message was posted, before
+ * Messenger stamped it, so a watermark with Messenger's time covers it; it
+ * defaults to now.
+ *
+ */
+function recordSent(fields) {
+  var message = {
+    messageId: fields.messageId,
+    psid: fields.psid,
+    campaign: fields.campaign || null,
+    ref: fields.ref || null,
+    status: 'sent',
+    sentAt: fields.sentAt || Date.now(),
+    deliveredAt: null,
+    readAt: null
+  };
+
+  addMessage(message);
+  appendLines([Object.assign({ type: 'message' }, message)]);
+  return message;
+}
+
+function setStatus(message, status, at) {
+  message.status = status;
+  message.deliveredAt = message.deliveredAt || at;
+  if (status === 'read') {
+    message.readAt = at;
+  }
+}
+
+/*
+ * Move messages forward to a status, unless they already got that far, and
+ * record the ones that moved in one line. Returns how many moved.
+ *
+ */
+function advance(candidates, status, at) {
+  var moved = [];
+
+  candidates.forEach(function(message) {
+    if (STATUSES.indexOf(message.status) >= STATUSES.indexOf(status)) {
+      return;
+    }
+
+    setStatus(message, status, at);
+    moved.push(message.messageId);
+  });
+
+  if (moved.length) {
+    appendLines([{ type: status, messageIds: moved, at: at }]);
+  }
+  return moved.length;
+}
+
+function sentBefore(psid, watermark) {
+  return (byPsid[psid] || []).filter(function(message) {
+    return message.sentAt <= watermark;
+  });
+}
+
+/*
+ * A delivery event: the listed messages, and everything sent to the user
+ * before the watermark, were delivered. Returns how many messages moved.
+ *
+ */
+function recordDelivery(psid, mids, watermark, date) {
+  var at = (date || new Date()).getTime();
+  var delivered = (mids || []).map(function(mid) {
+    return byId[mid];
+  }).filter(Boolean).concat(watermark ? sentBefore(psid, watermark) : []);
+
+  return advance(delivered, 'delivered', at);
+}
+
+/*
+ * A read event: everything sent to the user before the watermark was read.
+ * Returns how many messages moved.
+ *
+ */
+function recordRead(psid, watermark, date) {
+  var at = (date || new Date()).getTime();
+
+  return advance(sentBefore(psid, watermark), 'read', at);
+}
+
+function allMessages() {
+  return Object.keys(byId).map(function(messageId) {
+    return byId[messageId];
+  });
+}
+
+function get(messageId) {
+  return byId[messageId] || null;
+}
+
+// The messages sent to a user, newest first.
+function listForUser(psid) {
+  return (byPsid[psid] || []).slice().sort(function(a, b) {
+    return b.sentAt - a.sentAt;
+  });
+}
+
+/*
+ * How the messages of a campaign fared: how many were sent, delivered and
+ * read, and which share was read within "readWithin" milliseconds of being
+ * sent. "ref" narrows it down to one run of the campaign.
+ *
+ */
+function campaignStats(campaign, options) {
+  var sent = allMessages().filter(function(message) {
+    return message.campaign === campaign &&
+      (!options.ref || message.ref === options.ref);
+  });
+  var delivered = sent.filter(function(message) {
+    return message.deliveredAt !== null;
+  });
+  var read = sent.filter(function(message) {
+    return message.readAt !== null;
+  });
+  var readInTime = read.filter(function(message) {
+    return message.readAt - message.sentAt <= options.readWithin;
+  });
+
+  return {
+    campaign: campaign,
+    ref: options.ref || null,
+    recipients: sent.filter(function(message, index) {
+      return sent.findIndex(function(other) {
+        return other.psid === message.psid;
+      }) === index;
+    }).length,
+    sent: sent.length,
+    delivered: delivered.length,
+    read: read.length,
+    readWithin: {
+      minutes: options.readWithin / 60000,
+      count: readInTime.length,
+      share: sent.length ?
+        Math.round(readInTime.length / sent.length * 1000) / 1000 : null
+    }
+  };
+}
+
+// Write the file anew with one line per message, in its current status.
+function compact() {
+  var messages = allMessages();
+  var tmpFile = statusFile + '.tmp';
+
+  fs.writeFileSync(tmpFile, messages.map(function(message) {
+    return JSON.stringify(Object.assign({ type: 'message' }, message)) + '\n';
+  }).join(''));
+  fs.renameSync(tmpFile, statusFile);
+  lineCount = messages.length;
+}
+
+// Drop the messages sent before a time from memory. Returns how many.
+function forgetBefore(time) {
+  var removed = 0;
+
+  Object.keys(byPsid).forEach(function(psid) {
+    var kept = byPsid[psid].filter(function(message) {
+      if (message.sentAt >= time) {
+        return true;
+      }
+
+      delete byId[message.messageId];
+      removed++;
+      return false;
+    });
+
+    if (kept.length) {
+      byPsid[psid] = kept;
+    } else {
+      delete byPsid[psid];
+    }
+  });
+
+  return removed;
+}
+
+/*
+ * Forget messages sent before a date, for good: a line in the file says so,
+ * until it is compacted. Returns how many were removed.
+ *
+ */
+function prune(before) {
+  var removed = forgetBefore(before.getTime());
+  if (removed) {
+    appendLines([{ type: 'prune', before: before.getTime() }]);
+  }
+
+  if (lineCount > 2 * Object.keys(byId).length) {
+    try {
+      compact();
+    } catch (err) {
+      console.error("Failed compacting %s: %s", statusFile, err.message);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  STATUSES: STATUSES,
+  init: init,
+  recordSent: recordSent,
+  recordDelivery: recordDelivery,
+  recordRead: recordRead,
+  get: get,
+  listForUser: listForUser,
+  campaignStats: campaignStats,
+  prune: prune
+};
@@ -0,0 +1,252 @@
+/*
+ * Messenger Profile
+ *
+ * The page's Messenger Profile: the Get Started button, the greeting shown
+ * before the first message, the persistent menu and the domains allowed in
+ * webviews and Messenger Extensions. The profile we want is kept in a config
+ * file (config/messenger-profile.json); sync() compares it with what the
+ * page has and applies the difference through the Messenger Profile API.
+ * Only the fields in the file are managed; a field set to null is removed
+ * from the page. See scripts/setup-profile.js.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  request = require('request');
+
+const FIELDS = ['get_started', 'greeting', 'persistent_menu',
+  'whitelisted_domains'];
+
+const MAX_GREETING_LENGTH = 160;
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check a profile. Returns an error message, or null when it is fine.
+function validate(profile) {
+  var unknown = Object.keys(profile).filter(function(field) {
+    return FIELDS.indexOf(field) === -1;
+  });
+  if (unknown.length) {
+    return "Unknown field(s): " + unknown.join(', ');
+  }
+
+  if (profile.get_started && (!isObject(profile.get_started) ||
+      typeof profile.get_started.payload !== 'string')) {
+    return "get_started must have a payload";
+  }
+
+  if (profile.greeting) {
+    if (!Array.isArray(profile.greeting) ||
+        !profile.greeting.some(function(greeting) {
+          return greeting.locale === 'default';
+        })) {
+      return "greeting must be a list including the default locale";
+    }
+
+    var tooLong = profile.greeting.find(function(greeting) {
+      return typeof greeting.text !== 'string' ||
+        greeting.text.length > MAX_GREETING_LENGTH;
+    });
+    if (tooLong) {
+      return "The " + tooLong.locale + " greeting must be a text of at most " +
+        MAX_GREETING_LENGTH + " characters";
+    }
+  }
+
+  if (profile.persistent_menu) {
+    if (!Array.isArray(profile.persistent_menu) ||
+        !profile.persistent_menu.some(function(menu) {
+          return menu.locale === 'default';
+        })) {
+      return "persistent_menu must be a list including the default locale";
+    }
+    if (!profile.get_started) {
+      return "persistent_menu needs the get_started button";
+    }
+  }
+
+  if (profile.whitelisted_domains && (!Array.isArray(
+      profile.whitelisted_domains) || !profile.whitelisted_domains.every(
+      function(domain) { return /^https:\/\/[^\/]+\/?$/.test(domain); }))) {
+    return "whitelisted_domains must be a list of https:// origins";
+  }
+
+  return null;
+}
+
+// Load and check the profile file. Throws if it isn't valid.
+function load(file) {
+  var profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  var error = validate(profile);
+  if (error) {
+    throw new Error(error);
+  }
+
+  return profile;
+}
+
+// JSON with sorted keys, so values can be compared whatever the key order.
+function canonical(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonical).join(',') + ']';
+  }
+  if (isObject(value)) {
+    return '{' + Object.keys(value).sort().map(function(key) {
+      return JSON.stringify(key) + ':' + canonical(value[key]);
+    }).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+/*
+ * Compare the page's current profile with the wanted one. Returns a change
+ * for every managed field: { field, action, from, to }, the action being
+ * "add", "change", "remove" or "none".
+ *
+ */
+function diff(current, wanted) {
+  return FIELDS.filter(function(field) {
+    return wanted.hasOwnProperty(field);
+  }).map(function(field) {
+    var from = current[field] === undefined ? null : current[field];
+    var to = wanted[field];
+    var action = 'none';
+
+    if (to === null) {
+      action = from === null ? 'none' : 'remove';
+    } else if (from === null) {
+      action = 'add';
+    } else if (canonical(from) !== canonical(to)) {
+      action = 'change';
+    }
+
+    return { field: field, action: action, from: from, to: to };
+  });
+}
+
+function indent(prefix, value) {
+  return JSON.stringify(value, null, 2).split('\n').map(function(line) {
+    return prefix + ' ' + line;
+  }).join('\n');
+}
+
+// The changes as text, for people to review.
+function formatDiff(changes) {
+  return changes.map(function(change) {
+    switch (change.action) {
+      case 'add':
+        return '+ ' + change.field + '\n' + indent('+', change.to);
+      case 'remove':
+        return '- ' + change.field + '\n' + indent('-', change.from);
+      case 'change':
+        return '~ ' + change.field + '\n' + indent('-', change.from) + '\n' +
+          indent('+', change.to);
+      default:
+        return '  ' + change.field + ' (unchanged)';
+    }
+  }).join('\n');
+}
+
+function callProfileAPI(options, method, params, callback) {
+  var call = {
+    uri: options.graphApiUrl + '/me/messenger_profile',
+    qs: Object.assign({ access_token: options.accessToken },
+      method === 'GET' ? params : {}),
+    method: method,
+    json: method === 'GET' ? true : params
+  };
+
+  request(call, function(error, response, body) {
+    if (!error && response.statusCode == 200) {
+      callback(null, body);
+    } else {
+      callback(error || new Error((body && body.error) ? body.error.message :
+        "Messenger Profile API responded with status " + response.statusCode));
+    }
+  });
+}
+
+/*
+ * Bring the page's profile in line with the wanted one. Options:
+ *   graphApiUrl - Graph API base URL
+ *   accessToken - page access token
+ *   profile     - the wanted profile (see load)
+ *   dryRun      - only work out the changes
+ *
+ * Calls back with the changes (see diff) and whether they were applied.
+ *
+ */
+function sync(options, callback) {
+  var fields = FIELDS.filter(function(field) {
+    return options.profile.hasOwnProperty(field);
+  });
+
+  callProfileAPI(options, 'GET', { fields: fields.join(',') },
+    function(err, body) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var changes = diff((body.data && body.data[0]) || {}, options.profile);
+      var updates = {};
+      var removals = [];
+
+      changes.forEach(function(change) {
+        if (change.action === 'add' || change.action === 'change') {
+          updates[change.field] = change.to;
+        } else if (change.action === 'remove') {
+          removals.push(change.field);
+        }
+      });
+
+      if (options.dryRun || (!Object.keys(updates).length &&
+          !removals.length)) {
+        callback(null, { changes: changes, applied: false });
+        return;
+      }
+
+      apply(updates, function(err) {
+        if (err) {
+          callback(err);
+          return;
+        }
+
+        remove(removals, function(err) {
+          callback(err, err ? undefined : { changes: changes, applied: true });
+        });
+      });
+    });
+
+  function apply(updates, next) {
+    if (!Object.keys(updates).length) {
+      next(null);
+      return;
+    }
+    callProfileAPI(options, 'POST', updates, next);
+  }
+
+  function remove(removals, next) {
+    if (!removals.length) {
+      next(null);
+      return;
+    }
+    callProfileAPI(options, 'DELETE', { fields: removals }, next);
+  }
+}
+
+module.exports = {
+  FIELDS: FIELDS,
+  validate: validate,
+  load: load,
+  diff: diff,
+  formatDiff: formatDiff,
+  sync: sync
+};
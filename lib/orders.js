@@ -0,0 +1,206 @@
+/*
+ * Carts and Orders
+ *
+ * Every user has one cart (keyed by their page-scoped ID) holding catalog item
+ * ids and quantities. Placing an order prices the cart against the current
+ * catalog, stores the order and empties the cart; staff mark it picked up
+ * at the counter. Both carts and orders are kept in JSON files in the data
+ * directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('./json-store'),
+  menu = require('./menu'),
+  path = require('path');
+
+// Largest quantity of a single item a cart can hold.
+const MAX_QUANTITY = 20;
+
+var carts = null;
+var orders = null;
+var taxRate = 0;
+
+function init(options) {
+  carts = jsonStore.createStore(path.join(options.dataDir, 'carts.json'));
+  orders = jsonStore.createStore(path.join(options.dataDir, 'orders.json'));
+  taxRate = options.taxRate || 0;
+}
+
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function getCart(senderID) {
+  return carts.get(senderID) || { items: [] };
+}
+
+/*
+ * Set the quantity of an item in the cart. A quantity of 0 removes the item.
+ * Returns the updated cart, or null if the item can't be ordered.
+ *
+ */
+function setQuantity(senderID, itemId, quantity) {
+  quantity = Math.max(0, Math.min(MAX_QUANTITY, quantity));
+
+  // Items retired since they were added can still be taken out of the cart.
+  var item = menu.getItem(itemId);
+  if (quantity > 0 && (!item || item.retired)) {
+    return null;
+  }
+
+  var cart = getCart(senderID);
+  var lines = cart.items.filter(function(line) {
+    return line.itemId !== itemId;
+  });
+  var index = cart.items.findIndex(function(line) {
+    return line.itemId === itemId;
+  });
+
+  if (quantity > 0) {
+    // Keep an existing line where it was so the cart doesn't reshuffle.
+    lines.splice(index === -1 ? lines.length : index, 0,
+      { itemId: itemId, quantity: quantity });
+  }
+
+  cart.items = lines;
+  cart.updatedAt = Date.now();
+  return carts.set(senderID, cart);
+}
+
+function addToCart(senderID, itemId, quantity) {
+  var line = getCart(senderID).items.find(function(line) {
+    return line.itemId === itemId;
+  });
+
+  return setQuantity(senderID, itemId, (line ? line.quantity : 0) + quantity);
+}
+
+function removeFromCart(senderID, itemId) {
+  return setQuantity(senderID, itemId, 0);
+}
+
+function clearCart(senderID) {
+  carts.remove(senderID);
+}
+
+/*
+ * Price a cart against the current catalog. Items that have been retired or
+ * removed since they were added are skipped.
+ *
+ */
+function priceCart(cart) {
+  var lines = [];
+
+  cart.items.forEach(function(line) {
+    var item = menu.getItem(line.itemId);
+    if (!item || item.retired || typeof item.price !== 'number') {
+      return;
+    }
+
+    lines.push({
+      itemId: item.id,
+      title: item.title,
+      imageUrl: item.imageUrl,
+      quantity: line.quantity,
+      price: item.price,
+      total: roundCents(item.price * line.quantity)
+    });
+  });
+
+  var subtotal = roundCents(lines.reduce(function(sum, line) {
+    return sum + line.total;
+  }, 0));
+  var tax = roundCents(subtotal * taxRate);
+
+  return {
+    lines: lines,
+    subtotal: subtotal,
+    tax: tax,
+    total: roundCents(subtotal + tax),
+    currency: menu.getCurrency()
+  };
+}
+
+function nextOrderNumber() {
+  return String(1001 + orders.keys().length);
+}
+
+/*
+ * Turn the user's cart into an order. Returns the stored order, or null when
+ * there is nothing orderable in the cart.
+ *
+ */
+function placeOrder(senderID) {
+  var priced = priceCart(getCart(senderID));
+  if (!priced.lines.length) {
+    return null;
+  }
+
+  var order = Object.assign({
+    id: nextOrderNumber(),
+    senderID: senderID,
+    status: 'placed',
+    createdAt: Date.now()
+  }, priced);
+
+  orders.set(order.id, order);
+  clearCart(senderID);
+
+  console.log("Placed order %s for user %s with total %d", order.id,
+    senderID, order.total);
+
+  return order;
+}
+
+function getOrder(orderId) {
+  return orders.get(orderId);
+}
+
+/*
+ * Mark an order picked up at the counter. Returns { order }, or { error }
+ * with "unknown" or "pickedUp" (and the order) if it already was.
+ *
+ */
+function markPickedUp(orderId) {
+  var order = orders.get(orderId);
+  if (!order) {
+    return { error: 'unknown' };
+  }
+  if (order.status === 'picked_up') {
+    return { error: 'pickedUp', order: order };
+  }
+
+  order.status = 'picked_up';
+  order.pickedUpAt = Date.now();
+  orders.set(order.id, order);
+
+  return { order: order };
+}
+
+// The user's most recent order, or null if they never ordered.
+function getLatestOrder(senderID) {
+  return orders.values().filter(function(order) {
+    return order.senderID === senderID;
+  }).sort(function(a, b) {
+    return b.createdAt - a.createdAt;
+  })[0] || null;
+}
+
+module.exports = {
+  MAX_QUANTITY: MAX_QUANTITY,
+  init: init,
+  getCart: getCart,
+  addToCart: addToCart,
+  setQuantity: setQuantity,
+  removeFromCart: removeFromCart,
+  clearCart: clearCart,
+  priceCart: priceCart,
+  placeOrder: placeOrder,
+  markPickedUp: markPickedUp,
+  getOrder: getOrder,
+  getLatestOrder: getLatestOrder
+};
@@ -0,0 +1,127 @@
+/*
+ * Payload Router
+ *
+ * Postbacks, quick replies and intents recognised in free text often ask for
+ * the same thing: the "Menu" button, a "Menu" quick reply and typing "menu"
+ * all show the menu. Each action is registered here once, with the payloads
+ * and intents that trigger it, so every way of asking gets the same answer.
+ *
+ * Payloads may carry parameters (see payload.js); the handler gets them
+ * decoded. Payloads nobody registered are logged and counted so they can be
+ * reported on, and get the fallback answer.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  payloads = require('./payload');
+
+/*
+ * Create a router. Options:
+ *   fallback - function(request) answering payloads and intents that have no
+ *              route
+ *
+ * Handlers get a request object with:
+ *   senderID - the user's page-scoped ID
+ *   session  - the user's session (may be null)
+ *   params   - the payload parameters ({} for intents)
+ *   text     - the message text, for intents matched from free text
+ *   source   - "postback", "quick_reply" or "text"
+ *
+ */
+function createPayloadRouter(options) {
+  var payloadRoutes = {};
+  var intentRoutes = {};
+  var unknownPayloads = {};
+
+  /*
+   * Register a handler for one or more payload names (without parameters)
+   * and/or intents: add({ payloads: [...], intents: [...] }, handler).
+   *
+   */
+  function add(route, handler) {
+    (route.payloads || []).forEach(function(name) {
+      if (payloadRoutes[name]) {
+        throw new Error("Payload " + name + " is already routed");
+      }
+      payloadRoutes[name] = handler;
+    });
+
+    (route.intents || []).forEach(function(intent) {
+      if (intentRoutes[intent]) {
+        throw new Error("Intent " + intent + " is already routed");
+      }
+      intentRoutes[intent] = handler;
+    });
+  }
+
+  function recordUnknown(name, request) {
+    var entry = unknownPayloads[name] ||
+      (unknownPayloads[name] = { payload: name, count: 0 });
+
+    entry.count++;
+    entry.lastSeenAt = Date.now();
+    entry.lastSource = request.source;
+
+    console.warn("Unknown %s payload '%s' from user %s", request.source, name,
+      request.senderID);
+  }
+
+  /*
+   * Run the handler registered for a payload. Returns false (after answering
+   * with the fallback) when the payload has no route.
+   *
+   */
+  function dispatch(payload, request) {
+    var parsed = payloads.decode(payload || '');
+    var handler = payloadRoutes[parsed.name];
+
+    if (!handler) {
+      if (parsed.name) {
+        recordUnknown(parsed.name, request);
+      }
+      options.fallback(Object.assign({ params: {} }, request));
+      return false;
+    }
+
+    handler(Object.assign({}, request, { params: parsed.params }));
+    return true;
+  }
+
+  // Same as dispatch, for an intent name.
+  function dispatchIntent(intent, request) {
+    var handler = intentRoutes[intent];
+
+    if (!handler) {
+      console.warn("No route for intent %s from user %s", intent,
+        request.senderID);
+      options.fallback(Object.assign({ params: {} }, request));
+      return false;
+    }
+
+    handler(Object.assign({ params: {} }, request));
+    return true;
+  }
+
+  // Payloads received without a route, most frequent first.
+  function getUnknownPayloads() {
+    return Object.keys(unknownPayloads).map(function(name) {
+      return unknownPayloads[name];
+    }).sort(function(a, b) {
+      return b.count - a.count;
+    });
+  }
+
+  return {
+    add: add,
+    dispatch: dispatch,
+    dispatchIntent: dispatchIntent,
+    getUnknownPayloads: getUnknownPayloads
+  };
+}
+
+module.exports = {
+  createPayloadRouter: createPayloadRouter
+};
@@ -0,0 +1,37 @@
+/*
+ * Structured Payloads
+ *
+ * Postback and quick reply payloads that need parameters (an item id, a
+ * quantity...) are encoded as the payload name followed by a query string,
+ * e.g. "DEVELOPER_DEFINED_PAYLOAD_ADD_TO_CART?item=moussaka". Plain payloads
+ * without parameters are left as they are.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  querystring = require('querystring');
+
+function encode(name, params) {
+  var query = querystring.stringify(params || {});
+  return query ? name + '?' + query : name;
+}
+
+function decode(payload) {
+  var index = payload.indexOf('?');
+  if (index === -1) {
+    return { name: payload, params: {} };
+  }
+
+  return {
+    name: payload.slice(0, index),
+    params: querystring.parse(payload.slice(index + 1))
+  };
+}
+
+module.exports = {
+  encode: encode,
+  decode: decode
+};
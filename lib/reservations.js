@@ -0,0 +1,206 @@
+/*
+ * Table Reservations
+ *
+ * Reservations are booked in fixed time slots generated from the opening
+ * hours: slots start every "slotMinutes" from opening time, and the last one
+ * starts "lastSeatingMinutes" before closing. Each slot can seat at most
+ * "capacityPerSlot" guests in total; a booking that would go past that is
+ * refused. Reservations are kept in a JSON file in the data directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  hours = require('./hours'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var reservations = null;
+var settings = null;
+
+function init(options) {
+  reservations = jsonStore.createStore(
+    path.join(options.dataDir, 'reservations.json'));
+  settings = {
+    slotMinutes: options.slotMinutes,
+    capacityPerSlot: options.capacityPerSlot,
+    maxPartySize: options.maxPartySize,
+    lastSeatingMinutes: options.lastSeatingMinutes
+  };
+}
+
+function getMaxPartySize() {
+  return settings.maxPartySize;
+}
+
+function isActive(reservation) {
+  return reservation.status === 'confirmed';
+}
+
+// Guests already booked in a slot.
+function getBookedGuests(dateKey, minutes) {
+  return reservations.values().filter(function(reservation) {
+    return isActive(reservation) && reservation.date === dateKey &&
+      reservation.time === minutes;
+  }).reduce(function(sum, reservation) {
+    return sum + reservation.partySize;
+  }, 0);
+}
+
+/*
+ * The slots of a day that can still be booked, as { time, remaining } with
+ * the start time in minutes since midnight and the number of free seats.
+ * Slots that have already started and full slots are left out.
+ *
+ */
+function getSlots(dateKey, date) {
+  var now = hours.localTime(date || new Date());
+  var day = hours.getDay(dateKey);
+  var slots = [];
+
+  if (dateKey < now.date) {
+    return slots;
+  }
+
+  day.intervals.forEach(function(interval) {
+    var lastStart = interval.close - settings.lastSeatingMinutes;
+
+    for (var time = interval.open; time <= lastStart;
+         time += settings.slotMinutes) {
+      if (dateKey === now.date && time <= now.minutes) {
+        continue;
+      }
+
+      var remaining = settings.capacityPerSlot - getBookedGuests(dateKey, time);
+      if (remaining > 0) {
+        slots.push({ time: time, remaining: remaining });
+      }
+    }
+  });
+
+  return slots;
+}
+
+// The next days (today included) that still have a bookable slot.
+function getBookableDates(days, date) {
+  var today = hours.localTime(date || new Date()).date;
+  var dates = [];
+
+  for (var i = 0; i < days; i++) {
+    var dateKey = hours.addDays(today, i);
+    if (getSlots(dateKey, date).length) {
+      dates.push(dateKey);
+    }
+  }
+
+  return dates;
+}
+
+function nextReservationId() {
+  return 'R' + (1001 + reservations.keys().length);
+}
+
+/*
+ * Book a table. The slot is checked against the opening hours and the
+ * remaining capacity at the time of booking. Returns { reservation } on
+ * success, or { error } with one of:
+ *   "party_size" - the party is empty or larger than maxPartySize
+ *   "unavailable" - the slot doesn't exist or has already started
+ *   "full"       - not enough seats left ("remaining" says how many are)
+ *
+ */
+function book(request, date) {
+  var partySize = request.partySize;
+  if (!(partySize >= 1 && partySize <= settings.maxPartySize)) {
+    return { error: 'party_size' };
+  }
+
+  var slot = getSlots(request.date, date).find(function(slot) {
+    return slot.time === request.time;
+  });
+  if (!slot) {
+    // Full slots aren't listed, so tell those apart from non-existent ones.
+    return isSlotTime(request.date, request.time, date) ?
+      { error: 'full', remaining: 0 } : { error: 'unavailable' };
+  }
+  if (slot.remaining < partySize) {
+    return { error: 'full', remaining: slot.remaining };
+  }
+
+  var reservation = {
+    id: nextReservationId(),
+    senderID: request.senderID,
+    date: request.date,
+    time: request.time,
+    partySize: partySize,
+    status: 'confirmed',
+    createdAt: Date.now()
+  };
+  reservations.set(reservation.id, reservation);
+
+  console.log("Booked reservation %s for %d guests on %s at %s for user %s",
+    reservation.id, partySize, reservation.date,
+    hours.formatTime(reservation.time), reservation.senderID);
+
+  return { reservation: reservation };
+}
+
+// Whether a time is one of the (not yet started) slot times of a day.
+function isSlotTime(dateKey, minutes, date) {
+  var now = hours.localTime(date || new Date());
+  if (dateKey < now.date || (dateKey === now.date && minutes <= now.minutes)) {
+    return false;
+  }
+
+  return hours.getDay(dateKey).intervals.some(function(interval) {
+    return minutes >= interval.open &&
+      minutes <= interval.close - settings.lastSeatingMinutes &&
+      (minutes - interval.open) % settings.slotMinutes === 0;
+  });
+}
+
+// The user's confirmed reservations that haven't started yet, soonest first.
+function getUpcoming(senderID, date) {
+  var now = hours.localTime(date || new Date());
+
+  return reservations.values().filter(function(reservation) {
+    return reservation.senderID === senderID && isActive(reservation) &&
+      (reservation.date > now.date ||
+       (reservation.date === now.date && reservation.time > now.minutes));
+  }).sort(function(a, b) {
+    return a.date === b.date ? a.time - b.time : (a.date < b.date ? -1 : 1);
+  });
+}
+
+/*
+ * Cancel one of the user's reservations. Returns the cancelled reservation,
+ * or null if the user has no such active reservation.
+ *
+ */
+function cancel(senderID, reservationId) {
+  var reservation = reservations.get(reservationId);
+  if (!reservation || reservation.senderID !== senderID ||
+      !isActive(reservation)) {
+    return null;
+  }
+
+  reservation.status = 'cancelled';
+  reservation.cancelledAt = Date.now();
+  reservations.set(reservation.id, reservation);
+
+  console.log("Cancelled reservation %s for user %s", reservation.id, senderID);
+
+  return reservation;
+}
+
+module.exports = {
+  init: init,
+  getMaxPartySize: getMaxPartySize,
+  getSlots: getSlots,
+  getBookableDates: getBookableDates,
+  book: book,
+  getUpcoming: getUpcoming,
+  cancel: cancel
+};
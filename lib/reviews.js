@@ -0,0 +1,170 @@
+/*
+ * Customer Reviews
+ *
+ * Reviews left in chat (a 1-5 star rating and some text) start out "pending"
+ * and are only shown to other customers once staff have approved them through
+ * the admin API; rejected ones are kept but never shown. Reviews are kept in
+ * a JSON file in the data directory. The first time the store is created it
+ * is seeded with the reviews in the seed file, already approved.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const MAX_TEXT_LENGTH = 1000;
+
+var reviews = null;
+
+function init(options) {
+  reviews = jsonStore.createStore(path.join(options.dataDir, 'reviews.json'));
+
+  if (!reviews.keys().length && options.seedFile) {
+    seed(JSON.parse(fs.readFileSync(options.seedFile, 'utf8')));
+  }
+}
+
+// Seed reviews are listed newest first.
+function seed(entries) {
+  var now = Date.now();
+
+  entries.forEach(function(entry, index) {
+    var review = newReview({
+      author: entry.author,
+      rating: entry.rating || null,
+      text: entry.text
+    });
+    review.status = 'approved';
+    review.createdAt = review.moderatedAt = now - index;
+    reviews.set(review.id, review);
+  });
+
+  console.log("Seeded the review store with %d reviews", entries.length);
+}
+
+function newReview(fields) {
+  return {
+    id: 'V' + (1001 + reviews.keys().length),
+    senderID: fields.senderID || null,
+    author: fields.author || null,
+    rating: fields.rating,
+    text: fields.text,
+    status: 'pending',
+    createdAt: Date.now()
+  };
+}
+
+function isValidRating(rating) {
+  return rating >= 1 && rating <= 5 && rating % 1 === 0;
+}
+
+/*
+ * Add a review to the moderation queue. Returns { review }, or { error } with
+ * "rating" or "text" when that field isn't acceptable.
+ *
+ */
+function submit(fields) {
+  var text = (fields.text || '').trim();
+
+  if (!isValidRating(fields.rating)) {
+    return { error: 'rating' };
+  }
+  if (!text || text.length > MAX_TEXT_LENGTH) {
+    return { error: 'text' };
+  }
+
+  var review = newReview({
+    senderID: fields.senderID,
+    author: fields.author,
+    rating: fields.rating,
+    text: text
+  });
+  reviews.set(review.id, review);
+
+  console.log("Received %d star review %s from user %s", review.rating,
+    review.id, review.senderID);
+
+  return { review: review };
+}
+
+function get(id) {
+  return reviews.get(id);
+}
+
+// Reviews with the given status (all of them without one), newest first.
+function list(status) {
+  return reviews.values().filter(function(review) {
+    return !status || review.status === status;
+  }).sort(function(a, b) {
+    return b.createdAt - a.createdAt;
+  });
+}
+
+/*
+ * Approve or reject a review. Returns the review, or null if there is no
+ * such review.
+ *
+ */
+function moderate(id, status) {
+  var review = reviews.get(id);
+  if (!review) {
+    return null;
+  }
+
+  review.status = status;
+  review.moderatedAt = Date.now();
+  reviews.set(review.id, review);
+
+  return review;
+}
+
+/*
+ * A page of approved reviews, newest first, as { reviews, total, hasMore }.
+ * Pages are numbered from 1.
+ *
+ */
+function getApproved(page, pageSize) {
+  var approved = list('approved');
+  var start = (page - 1) * pageSize;
+
+  return {
+    reviews: approved.slice(start, start + pageSize),
+    total: approved.length,
+    hasMore: start + pageSize < approved.length
+  };
+}
+
+// Average star rating of the approved reviews that have one, as
+// { average, count }; the average is null when nobody has rated yet.
+function getAverageRating() {
+  var rated = list('approved').filter(function(review) {
+    return review.rating;
+  });
+  var sum = rated.reduce(function(total, review) {
+    return total + review.rating;
+  }, 0);
+
+  return {
+    average: rated.length ? Math.round(sum / rated.length * 10) / 10 : null,
+    count: rated.length
+  };
+}
+
+module.exports = {
+  STATUSES: STATUSES,
+  MAX_TEXT_LENGTH: MAX_TEXT_LENGTH,
+  init: init,
+  submit: submit,
+  get: get,
+  list: list,
+  moderate: moderate,
+  getApproved: getApproved,
+  getAverageRating: getAverageRating
+};
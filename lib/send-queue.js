@@ -0,0 +1,128 @@
+/*
+ * Outbound Message Queue
+ *
+ * The Send API doesn't guarantee that two requests made back to back are
+ * delivered in the order they were made. To keep a reply's messages in order,
+ * every recipient gets their own queue and a message is only sent once the
+ * previous one to the same recipient has been accepted. Recipients don't wait
+ * on each other.
+ *
+ * When several messages go out to the same recipient in a row, a typing
+ * indicator and a short pause are inserted before each message after the
+ * first, so a carousel followed by quick replies reads like a conversation
+ * instead of arriving all at once.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * Create a queue. Options:
+ *   send     - function(messageData, callback) making the actual Send API call
+ *   pacingMs - pause between consecutive messages to the same recipient
+ *
+ */
+function createSendQueue(options) {
+  var send = options.send;
+  var pacingMs = options.pacingMs || 0;
+  var queues = {};
+  var idleCallbacks = [];
+
+  function typingOn(recipientId) {
+    return {
+      recipient: {
+        id: recipientId
+      },
+      sender_action: "typing_on"
+    };
+  }
+
+  /*
+   * Queue a message (or sender action) for its recipient. The optional
+   * callback gets the result of the Send API call once it has been made.
+   *
+   */
+  function enqueue(messageData, callback) {
+    var recipientId = messageData.recipient.id;
+    var queue = queues[recipientId];
+
+    if (!queue) {
+      queue = queues[recipientId] = { entries: [], sentMessage: false };
+      queue.entries.push({ messageData: messageData, callback: callback });
+      next(recipientId);
+      return;
+    }
+
+    queue.entries.push({ messageData: messageData, callback: callback });
+  }
+
+  function next(recipientId) {
+    var queue = queues[recipientId];
+    var entry = queue.entries[0];
+
+    if (!entry) {
+      // Burst over: the next message to this recipient goes out right away.
+      delete queues[recipientId];
+      if (!Object.keys(queues).length) {
+        notifyIdle();
+      }
+      return;
+    }
+
+    var isMessage = !entry.messageData.sender_action;
+
+    if (isMessage && queue.sentMessage && pacingMs > 0) {
+      send(typingOn(recipientId), function() {
+        setTimeout(function() {
+          deliver(recipientId, entry, isMessage);
+        }, pacingMs);
+      });
+    } else {
+      deliver(recipientId, entry, isMessage);
+    }
+  }
+
+  function deliver(recipientId, entry, isMessage) {
+    var queue = queues[recipientId];
+
+    send(entry.messageData, function(err, result) {
+      queue.entries.shift();
+      if (isMessage) {
+        queue.sentMessage = true;
+      }
+      if (entry.callback) {
+        entry.callback(err, result);
+      }
+
+      next(recipientId);
+    });
+  }
+
+  function notifyIdle() {
+    var callbacks = idleCallbacks;
+    idleCallbacks = [];
+    callbacks.forEach(function(callback) {
+      callback();
+    });
+  }
+
+  // Call back once every queued message has been sent.
+  function onIdle(callback) {
+    if (!Object.keys(queues).length) {
+      process.nextTick(callback);
+      return;
+    }
+
+    idleCallbacks.push(callback);
+  }
+
+  return {
+    enqueue: enqueue,
+    onIdle: onIdle
+  };
+}
+
+module.exports = {
+  createSendQueue: createSendQueue
+};
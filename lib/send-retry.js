@@ -0,0 +1,155 @@
+/*
+ * Send API Retries
+ *
+ * Wraps the raw Send API call with retries. Failures are classified from the
+ * HTTP status and the Graph API error in the response:
+ *
+ *   - "rate_limit": the page or app is sending too fast. Retried with a longer
+ *     backoff.
+ *   - "transient": network errors, 5xx responses and errors Graph flags as
+ *     transient. Retried with exponential backoff and jitter.
+ *   - "permanent": anything retrying won't fix, e.g. the user blocked the page
+ *     or is outside the messaging window. Given up on right away.
+ *
+ * Messages that still fail after the last retry, or fail permanently, are
+ * handed to the onFailure callback (which puts them in the dead-letter store).
+ *
+ * https://developers.facebook.com/docs/messenger-platform/send-api-reference/errors
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+// Graph error codes meaning the caller is being throttled.
+const RATE_LIMIT_CODES = [4, 17, 32, 613];
+
+// Graph error codes for temporary problems on Facebook's side.
+const TRANSIENT_CODES = [1, 2];
+
+// Why a message permanently can't be delivered, by Graph error code and,
+// where the code alone is too broad, subcode.
+const PERMANENT_REASONS = [
+  { code: 551, reason: 'user_unavailable' },
+  { code: 200, subcode: 1545041, reason: 'user_unavailable' },
+  { code: 10, subcode: 2018065, reason: 'outside_messaging_window' },
+  { code: 10, subcode: 2018108, reason: 'outside_messaging_window' },
+  { code: 10, subcode: 2018278, reason: 'outside_messaging_window' },
+  { code: 100, subcode: 2018001, reason: 'unknown_recipient' },
+  { code: 190, reason: 'invalid_access_token' },
+  { code: 10, reason: 'permission_denied' },
+  { code: 200, reason: 'permission_denied' },
+  { code: 100, reason: 'invalid_request' }
+];
+
+// Rate limits are retried this many times slower than other failures.
+const RATE_LIMIT_BACKOFF_FACTOR = 5;
+
+/*
+ * Classify a failed Send API call. "err" may carry the HTTP status code
+ * (statusCode) and the Graph error object (graphError). Returns
+ * { type, reason }.
+ *
+ */
+function classifyError(err) {
+  var graphError = err.graphError;
+
+  if (!graphError) {
+    if (!err.statusCode || err.statusCode >= 500 || err.statusCode === 429) {
+      return { type: 'transient', reason: err.statusCode ?
+        'http_' + err.statusCode : 'network_error' };
+    }
+    return { type: 'permanent', reason: 'http_' + err.statusCode };
+  }
+
+  var code = graphError.code;
+  var subcode = graphError.error_subcode;
+
+  if (RATE_LIMIT_CODES.indexOf(code) !== -1) {
+    return { type: 'rate_limit', reason: 'rate_limited' };
+  }
+
+  if (graphError.is_transient || TRANSIENT_CODES.indexOf(code) !== -1 ||
+      err.statusCode >= 500) {
+    return { type: 'transient', reason: 'graph_error_' + code };
+  }
+
+  var known = PERMANENT_REASONS.find(function(entry) {
+    return entry.code === code &&
+      (entry.subcode === undefined || entry.subcode === subcode);
+  });
+
+  return {
+    type: 'permanent',
+    reason: known ? known.reason : 'graph_error_' + code
+  };
+}
+
+/*
+ * Backoff before the given retry (1 for the first one): exponential, capped
+ * at maxDelayMs, with "equal jitter" so retries from many recipients don't
+ * line up.
+ *
+ */
+function backoffDelay(retry, type, options) {
+  var base = options.baseDelayMs *
+    (type === 'rate_limit' ? RATE_LIMIT_BACKOFF_FACTOR : 1);
+  var delay = Math.min(options.maxDelayMs, base * Math.pow(2, retry - 1));
+
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/*
+ * Create a sender with retries. Options:
+ *   send        - function(messageData, callback) making a single attempt
+ *   maxRetries  - retries after the first attempt
+ *   baseDelayMs - backoff before the first retry
+ *   maxDelayMs  - longest backoff between two attempts
+ *   onFailure   - function(messageData, err, classification, attempts)
+ *                 called when a message is given up on
+ *
+ */
+function createRetryingSender(options) {
+  return function send(messageData, callback) {
+    var attempts = 0;
+
+    function attempt() {
+      attempts++;
+
+      options.send(messageData, function(err, body) {
+        if (!err) {
+          callback(null, body);
+          return;
+        }
+
+        var classification = classifyError(err);
+        var retryable = classification.type !== 'permanent';
+
+        if (retryable && attempts <= options.maxRetries) {
+          var delay = backoffDelay(attempts, classification.type, options);
+          console.log("Retrying Send API call for recipient %s in %dms " +
+            "after %s (%s)", messageData.recipient.id, delay,
+            classification.type, classification.reason);
+          setTimeout(attempt, delay);
+          return;
+        }
+
+        err.classification = classification;
+        err.attempts = attempts;
+
+        if (options.onFailure) {
+          options.onFailure(messageData, err, classification, attempts);
+        }
+        callback(err);
+      });
+    }
+
+    attempt();
+  };
+}
+
+module.exports = {
+  classifyError: classifyError,
+  backoffDelay: backoffDelay,
+  createRetryingSender: createRetryingSender
+};
@@ -0,0 +1,69 @@
+/*
+ * File Session Backend
+ *
+ * Persists sessions to a JSON file in the data directory so conversations can
+ * pick up where they left off after a restart or deploy.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('../json-store');
+
+// Sessions are copied in and out, like they would be with a real database,
+// so nobody changes the stored session by accident.
+function copy(session) {
+  return session ? JSON.parse(JSON.stringify(session)) : null;
+}
+
+function createFileBackend(options) {
+  var store = jsonStore.createStore(options.file);
+
+  // The JSON store is synchronous; errors are handed to the callback so the
+  // interface matches backends that do real I/O.
+  function run(callback, fn) {
+    var result;
+    try {
+      result = fn();
+    } catch (err) {
+      process.nextTick(function() {
+        callback(err);
+      });
+      return;
+    }
+
+    process.nextTick(function() {
+      callback(null, result);
+    });
+  }
+
+  return {
+    get: function(key, callback) {
+      run(callback, function() {
+        return copy(store.get(key));
+      });
+    },
+
+    set: function(key, session, callback) {
+      run(callback, function() {
+        store.set(key, copy(session));
+      });
+    },
+
+    remove: function(key, callback) {
+      run(callback, function() {
+        store.remove(key);
+      });
+    },
+
+    keys: function(callback) {
+      run(callback, function() {
+        return store.keys();
+      });
+    }
+  };
+}
+
+module.exports = createFileBackend;
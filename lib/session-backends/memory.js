@@ -0,0 +1,46 @@
+/*
+ * In-memory Session Backend
+ *
+ * Keeps sessions in a plain object. Nothing survives a restart, which makes it
+ * a good fit for tests and local development.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+function createMemoryBackend() {
+  var sessions = {};
+
+  return {
+    get: function(key, callback) {
+      var session = sessions[key];
+      process.nextTick(function() {
+        callback(null, session ? JSON.parse(JSON.stringify(session)) : null);
+      });
+    },
+
+    set: function(key, session, callback) {
+      sessions[key] = JSON.parse(JSON.stringify(session));
+      process.nextTick(function() {
+        callback(null);
+      });
+    },
+
+    remove: function(key, callback) {
+      delete sessions[key];
+      process.nextTick(function() {
+        callback(null);
+      });
+    },
+
+    keys: function(callback) {
+      var keys = Object.keys(sessions);
+      process.nextTick(function() {
+        callback(null, keys);
+      });
+    }
+  };
+}
+
+module.exports = createMemoryBackend;
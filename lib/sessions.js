@@ -0,0 +1,236 @@
+/*
+ * Conversation Sessions
+ *
+ * Per-user conversation state, keyed by the sender's page-scoped ID (PSID).
+ * A session records the flow the user is in (e.g. "reservation"), the step
+ * within that flow, the fields collected so far and when the user last
+ * interacted with the bot. A session that has been idle for longer than the
+ * TTL is reset, so a user coming back days later starts over cleanly.
+ *
+ * Storage is delegated to a backend (see lib/session-backends) implementing
+ * get, set, remove and keys with node-style callbacks. Backends hand out
+ * copies, and changes to the session of a user are applied one at a time, so
+ * two changes made at once (e.g. a closed notice and a reply) can't overwrite
+ * each other.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createFileBackend = require('./session-backends/file'),
+  createMemoryBackend = require('./session-backends/memory');
+
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createFileBackend
+};
+
+function newSession(psid, now) {
+  return {
+    psid: psid,
+    flow: null,
+    step: null,
+    data: {},
+    createdAt: now,
+    lastInteractionAt: now
+  };
+}
+
+/*
+ * Create a session store. Options:
+ *   backend - "memory" or "file", or a backend object
+ *   file    - path of the session file, for the file backend
+ *   ttl     - idle time in milliseconds after which a session expires
+ *
+ */
+function createSessionStore(options) {
+  var backend = options.backend;
+  var ttl = options.ttl;
+
+  if (typeof backend === 'string') {
+    if (!BACKENDS[backend]) {
+      throw new Error("Unknown session backend '" + backend + "'");
+    }
+    backend = BACKENDS[backend](options);
+  }
+
+  // Changes waiting for the session of each user, the one running first.
+  var queues = {};
+
+  function isExpired(session, now) {
+    return ttl > 0 && now - session.lastInteractionAt > ttl;
+  }
+
+  /*
+   * Run a task on the session of a user once the tasks queued before it for
+   * the same user are done. The task gets a callback to call when it's done,
+   * whose arguments are passed on to "callback".
+   *
+   */
+  function serialize(psid, task, callback) {
+    var queue = queues[psid] || (queues[psid] = []);
+
+    queue.push({ task: task, callback: callback });
+    if (queue.length === 1) {
+      runNext(psid);
+    }
+  }
+
+  function runNext(psid) {
+    var entry = queues[psid][0];
+
+    entry.task(function(err, result) {
+      queues[psid].shift();
+      if (queues[psid].length) {
+        runNext(psid);
+      } else {
+        delete queues[psid];
+      }
+
+      entry.callback(err, result);
+    });
+  }
+
+  /*
+   * Load the session of a user. Users without a session, or whose session
+   * has expired, get a fresh one (which isn't stored until it is updated).
+   *
+   */
+  function get(psid, callback) {
+    backend.get(psid, function(err, session) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var now = Date.now();
+      if (!session || isExpired(session, now)) {
+        session = newSession(psid, session ? session.createdAt : now);
+      }
+
+      callback(null, session);
+    });
+  }
+
+  /*
+   * Apply changes to a session and store it. "flow" and "step" replace the
+   * current values, "data" is merged into the collected fields. The last
+   * interaction time is bumped as well.
+   *
+   */
+  function update(psid, changes, callback) {
+    change(psid, function(session) {
+      if (changes.flow !== undefined) {
+        session.flow = changes.flow;
+      }
+      if (changes.step !== undefined) {
+        session.step = changes.step;
+      }
+      if (changes.data) {
+        session.data = Object.assign({}, session.data, changes.data);
+      }
+    }, callback);
+  }
+
+  // Load, change and store a session, after the changes queued before.
+  function change(psid, apply, callback) {
+    serialize(psid, function(done) {
+      get(psid, function(err, session) {
+        if (err) {
+          done(err);
+          return;
+        }
+
+        apply(session);
+        session.lastInteractionAt = Date.now();
+
+        backend.set(psid, session, function(err) {
+          done(err, session);
+        });
+      });
+    }, callback);
+  }
+
+  // Record that the user just interacted with the bot.
+  function touch(psid, callback) {
+    update(psid, {}, callback);
+  }
+
+  // Put the user in a flow, starting over with no collected fields.
+  function startFlow(psid, flow, step, callback) {
+    change(psid, function(session) {
+      session.flow = flow;
+      session.step = step;
+      session.data = {};
+    }, callback);
+  }
+
+  // Leave the current flow and forget the fields collected in it.
+  function endFlow(psid, callback) {
+    startFlow(psid, null, null, callback);
+  }
+
+  /*
+   * Remove every expired session from the backend. Calls back with the
+   * number of sessions removed.
+   *
+   */
+  function prune(callback) {
+    backend.keys(function(err, keys) {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      var now = Date.now();
+      var removed = 0;
+      var pending = keys.length;
+      var failed = null;
+
+      if (!pending) {
+        callback(null, 0);
+        return;
+      }
+
+      keys.forEach(function(psid) {
+        serialize(psid, function(next) {
+          backend.get(psid, function(err, session) {
+            if (err || !session || !isExpired(session, now)) {
+              next(err);
+              return;
+            }
+
+            backend.remove(psid, function(err) {
+              if (!err) {
+                removed++;
+              }
+              next(err);
+            });
+          });
+        }, done);
+      });
+
+      function done(err) {
+        failed = failed || err;
+        if (--pending === 0) {
+          callback(failed, removed);
+        }
+      }
+    });
+  }
+
+  return {
+    get: get,
+    update: update,
+    touch: touch,
+    startFlow: startFlow,
+    endFlow: endFlow,
+    prune: prune
+  };
+}
+
+module.exports = {
+  createSessionStore: createSessionStore
+};
@@ -0,0 +1,61 @@
+/*
+ * Sign In Throttle
+ *
+ * Counts failed sign ins per key (an account's email, a client's IP) and
+ * blocks the key once it has failed too often within the window. Checked
+ * before a password is hashed, so guessing costs the attacker time and not
+ * the server CPU. Counts are kept in memory; a restart forgets them.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+/*
+ * Create a throttle. Options:
+ *   maxFailures - failed sign ins allowed per key within the window
+ *   windowMs    - how long a failure counts against its key
+ *
+ */
+function createThrottle(options) {
+  var maxFailures = options.maxFailures;
+  var windowMs = options.windowMs;
+  var failures = {};
+
+  // The times of the key's failures still within the window.
+  function recent(key, now) {
+    var times = (failures[key] || []).filter(function(time) {
+      return now - time < windowMs;
+    });
+
+    if (times.length) {
+      failures[key] = times;
+    } else {
+      delete failures[key];
+    }
+    return times;
+  }
+
+  function isBlocked(key) {
+    return recent(key, Date.now()).length >= maxFailures;
+  }
+
+  function recordFailure(key) {
+    var now = Date.now();
+    failures[key] = recent(key, now).concat(now);
+  }
+
+  function reset(key) {
+    delete failures[key];
+  }
+
+  return {
+    isBlocked: isBlocked,
+    recordFailure: recordFailure,
+    reset: reset
+  };
+}
+
+module.exports = {
+  createThrottle: createThrottle
+};
@@ -0,0 +1,172 @@
+/*
+ * Daily Special Subscriptions
+ *
+ * Users who asked for the daily special every morning, and the history of
+ * what was sent to them. Messenger only lets a page message a user freely
+ * within 24 hours of the user's last message, so the time each subscriber
+ * last interacted with the bot is kept as well. Both are JSON files in the
+ * data directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+// How long after the user's last message the page may message them without
+// a message tag.
+const MESSAGING_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+var subscribers = null;
+var history = null;
+
+function init(options) {
+  subscribers = jsonStore.createStore(
+    path.join(options.dataDir, 'subscribers.json'));
+  history = jsonStore.createStore(
+    path.join(options.dataDir, 'subscription-history.json'));
+}
+
+/*
+ * Subscribe a user. Returns false if they already were subscribed.
+ *
+ */
+function subscribe(psid, date) {
+  var now = (date || new Date()).getTime();
+  var subscriber = subscribers.get(psid);
+
+  if (subscriber && subscriber.active) {
+    touch(psid, now);
+    return false;
+  }
+
+  subscribers.set(psid, {
+    psid: psid,
+    active: true,
+    subscribedAt: now,
+    unsubscribedAt: null,
+    lastInteractionAt: now
+  });
+
+  console.log("User %s subscribed to the daily special", psid);
+  return true;
+}
+
+/*
+ * Unsubscribe a user. Returns false if they weren't subscribed. The record is
+ * kept so the history still makes sense.
+ *
+ */
+function unsubscribe(psid, date) {
+  var subscriber = subscribers.get(psid);
+  if (!subscriber || !subscriber.active) {
+    return false;
+  }
+
+  subscriber.active = false;
+  subscriber.unsubscribedAt = (date || new Date()).getTime();
+  subscribers.set(psid, subscriber);
+
+  console.log("User %s unsubscribed from the daily special", psid);
+  return true;
+}
+
+function isSubscribed(psid) {
+  var subscriber = subscribers.get(psid);
+  return !!(subscriber && subscriber.active);
+}
+
+// Record that a subscriber just messaged the page. Others are ignored.
+function touch(psid, timestamp) {
+  var subscriber = subscribers.get(psid);
+  if (!subscriber || !subscriber.active) {
+    return;
+  }
+
+  subscriber.lastInteractionAt = timestamp || Date.now();
+  subscribers.set(psid, subscriber);
+}
+
+function getActive() {
+  return subscribers.values().filter(function(subscriber) {
+    return subscriber.active;
+  });
+}
+
+// Whether the page may still message the subscriber without a message tag.
+function inMessagingWindow(subscriber, date) {
+  return (date || new Date()).getTime() - subscriber.lastInteractionAt <
+    MESSAGING_WINDOW_MS;
+}
+
+/*
+ * Record what happened to a subscriber on a given day: "sending", "sent",
+ * "failed" or "skipped", with the reason for the last two.
+ *
+ */
+function recordSend(psid, dateKey, status, reason) {
+  var entry = {
+    id: dateKey + ':' + psid,
+    psid: psid,
+    date: dateKey,
+    status: status,
+    reason: reason || null,
+    at: Date.now()
+  };
+
+  history.set(entry.id, entry);
+  return entry;
+}
+
+// Whether the daily special of a day already went out, or is going out, to a
+// subscriber.
+function wasSent(psid, dateKey) {
+  var entry = history.get(dateKey + ':' + psid);
+  return !!(entry && (entry.status === 'sent' || entry.status === 'sending'));
+}
+
+/*
+ * Mark the daily special of a day as being sent to a subscriber, before
+ * sending it, so a push started meanwhile (the scheduler and staff at the
+ * same time) leaves them alone. Returns false if it was already sent or is
+ * being sent. A send interrupted by a restart stays "sending" and isn't
+ * retried that day: better a missed special than two.
+ *
+ */
+function claimSend(psid, dateKey) {
+  if (wasSent(psid, dateKey)) {
+    return false;
+  }
+
+  recordSend(psid, dateKey, 'sending');
+  return true;
+}
+
+// Send history, newest first, optionally for one user or one day only.
+function getHistory(filter) {
+  filter = filter || {};
+
+  return history.values().filter(function(entry) {
+    return (!filter.psid || entry.psid === filter.psid) &&
+      (!filter.date || entry.date === filter.date);
+  }).sort(function(a, b) {
+    return b.at - a.at;
+  });
+}
+
+module.exports = {
+  init: init,
+  subscribe: subscribe,
+  unsubscribe: unsubscribe,
+  isSubscribed: isSubscribed,
+  touch: touch,
+  getActive: getActive,
+  inMessagingWindow: inMessagingWindow,
+  recordSend: recordSend,
+  wasSent: wasSent,
+  claimSend: claimSend,
+  getHistory: getHistory
+};
@@ -0,0 +1,102 @@
+/*
+ * Support Tickets
+ *
+ * Things customers sent that staff need to look at: photos of a problem with
+ * an order ("order_issue"), and voice messages ("audio") and files ("file")
+ * the bot can't make sense of. Each ticket keeps the URLs of the media, which
+ * Messenger hosts for us, and, for order issues, the customer's latest order.
+ * Staff work through the open tickets with the admin API and close them.
+ * Kept in a JSON file in the data directory, keyed by ticket id (T1001, ...).
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+const TYPES = ['order_issue', 'audio', 'file'];
+
+var tickets = null;
+
+function init(options) {
+  tickets = jsonStore.createStore(path.join(options.dataDir, 'tickets.json'));
+}
+
+function nextTicketId() {
+  return 'T' + (1001 + tickets.keys().length);
+}
+
+/*
+ * Open a ticket. Fields: psid, type (see TYPES), mediaUrls and, optionally,
+ * orderId.
+ *
+ */
+function open(fields) {
+  if (TYPES.indexOf(fields.type) === -1) {
+    throw new Error("Unknown ticket type " + fields.type);
+  }
+
+  var ticket = {
+    id: nextTicketId(),
+    psid: fields.psid,
+    type: fields.type,
+    mediaUrls: fields.mediaUrls || [],
+    orderId: fields.orderId || null,
+    status: 'open',
+    createdAt: Date.now(),
+    closedAt: null
+  };
+  tickets.set(ticket.id, ticket);
+
+  console.log("Opened %s ticket %s for user %s", ticket.type, ticket.id,
+    ticket.psid);
+  return ticket;
+}
+
+function get(ticketId) {
+  return tickets.get(ticketId) || null;
+}
+
+// Tickets, newest first. Filters: status ("open" or "closed"), type, psid.
+function list(filters) {
+  return tickets.values().filter(function(ticket) {
+    return (!filters.status || ticket.status === filters.status) &&
+      (!filters.type || ticket.type === filters.type) &&
+      (!filters.psid || ticket.psid === filters.psid);
+  }).sort(function(a, b) {
+    return b.createdAt - a.createdAt;
+  });
+}
+
+/*
+ * Close a ticket once staff dealt with it. Returns { ticket }, or { error }
+ * with "unknown" or "closed".
+ *
+ */
+function close(ticketId) {
+  var ticket = get(ticketId);
+  if (!ticket) {
+    return { error: 'unknown' };
+  }
+  if (ticket.status === 'closed') {
+    return { error: 'closed', ticket: ticket };
+  }
+
+  ticket.status = 'closed';
+  ticket.closedAt = Date.now();
+  tickets.set(ticket.id, ticket);
+
+  return { ticket: ticket };
+}
+
+module.exports = {
+  TYPES: TYPES,
+  init: init,
+  open: open,
+  get: get,
+  list: list,
+  close: close
+};
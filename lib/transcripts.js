@@ -0,0 +1,202 @@
+/*
+ * Conversation Transcripts
+ *
+ * Everything customers send the page and everything the bot or staff send
+ * them, so staff can follow a conversation in the inbox. Each message is
+ * reduced to a line of text ("[generic] Moussaka, Famous Greek Combo" for a
+ * carousel) plus what kind of message it was. Only the latest messages of
+ * each conversation are kept.
+ *
+ * Messages are appended to a JSON lines file in the data directory, one line
+ * per message with the customer's PSID, so recording one doesn't rewrite
+ * anybody's transcript. The conversations are rebuilt from the file on
+ * startup, which also drops the messages no longer kept from it.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path');
+
+const MAX_MESSAGES = 200;
+
+var transcriptsFile = null;
+var conversations = Object.create(null);
+
+function init(options) {
+  transcriptsFile = path.join(options.dataDir, 'transcripts.jsonl');
+  conversations = Object.create(null);
+
+  var text = fs.existsSync(transcriptsFile) ?
+    fs.readFileSync(transcriptsFile, 'utf8') : '';
+
+  // Lines that don't parse, like one cut short by a crash, are skipped.
+  var lines = text.split('\n').filter(Boolean).reduce(function(lines, line) {
+    try {
+      lines.push(JSON.parse(line));
+    } catch (err) {
+      console.error("Skipped an unreadable line in %s", transcriptsFile);
+    }
+    return lines;
+  }, []);
+
+  var counts = Object.create(null);
+  lines.forEach(function(line) {
+    counts[line.psid] = (counts[line.psid] || 0) + 1;
+  });
+
+  // Only the latest messages of each conversation are kept, in memory and in
+  // the file, which is rewritten once here when it holds older ones or
+  // unreadable lines.
+  var seen = Object.create(null);
+  var kept = lines.filter(function(line) {
+    seen[line.psid] = (seen[line.psid] || 0) + 1;
+    return seen[line.psid] > counts[line.psid] - MAX_MESSAGES;
+  });
+
+  kept.forEach(function(line) {
+    var entry = Object.assign({}, line);
+    delete entry.psid;
+    addEntry(line.psid, entry);
+  });
+
+  var written = kept.map(function(line) {
+    return JSON.stringify(line) + '\n';
+  }).join('');
+
+  if (written !== text) {
+    var tmpFile = transcriptsFile + '.tmp';
+    fs.writeFileSync(tmpFile, written);
+    fs.renameSync(tmpFile, transcriptsFile);
+  }
+}
+
+function addEntry(psid, entry) {
+  var conversation = conversations[psid] || {
+    psid: psid,
+    messages: [],
+    lastInbound: null,
+    lastMessageAt: null
+  };
+  conversations[psid] = conversation;
+
+  conversation.messages.push(entry);
+  if (conversation.messages.length > MAX_MESSAGES) {
+    conversation.messages.splice(0,
+      conversation.messages.length - MAX_MESSAGES);
+  }
+
+  conversation.lastMessageAt = entry.at;
+  if (entry.direction === 'in') {
+    conversation.lastInbound = entry;
+  }
+}
+
+function append(psid, entry) {
+  addEntry(psid, entry);
+
+  try {
+    fs.appendFileSync(transcriptsFile,
+      JSON.stringify(Object.assign({ psid: psid }, entry)) + '\n');
+  } catch (err) {
+    console.error("Failed recording a message to %s in the transcript: %s",
+      psid, err.message);
+  }
+}
+
+/*
+ * Record a message or postback event from a customer. Other events (echoes,
+ * deliveries, reads) aren't part of the conversation and are ignored.
+ *
+ */
+function recordInbound(event) {
+  var entry = { direction: 'in', at: event.timestamp || Date.now() };
+  var message = event.message;
+
+  if (event.postback) {
+    entry.kind = 'postback';
+    entry.text = event.postback.title || event.postback.payload;
+    entry.payload = event.postback.payload;
+  } else if (message && !message.is_echo) {
+    if (message.quick_reply) {
+      entry.kind = 'quick_reply';
+      entry.payload = message.quick_reply.payload;
+      entry.text = message.text;
+    } else if (message.text) {
+      entry.kind = 'text';
+      entry.text = message.text;
+    } else {
+      entry.kind = 'attachment';
+      entry.text = '[' + (message.attachments || []).map(function(attachment) {
+        return attachment.type;
+      }).join(', ') + ']';
+    }
+  } else {
+    return;
+  }
+
+  append(event.sender.id, entry);
+}
+
+// A line of text standing for a message sent through the Send API.
+function summarize(message) {
+  var attachment = message.attachment;
+  if (!attachment) {
+    return message.text;
+  }
+
+  var payload = attachment.payload || {};
+  if (attachment.type !== 'template') {
+    return '[' + attachment.type + '] ' + (payload.url || '');
+  }
+
+  var titles = (payload.elements || []).map(function(element) {
+    return element.title;
+  }).join(', ');
+
+  return '[' + payload.template_type + '] ' + (payload.text || titles);
+}
+
+/*
+ * Record a message sent to a customer. "by" says who sent it: "bot" or
+ * "staff". Typing indicators are ignored.
+ *
+ */
+function recordOutbound(messageData, by) {
+  if (!messageData.message) {
+    return;
+  }
+
+  append(messageData.recipient.id, {
+    direction: 'out',
+    at: Date.now(),
+    by: by || 'bot',
+    kind: messageData.message.attachment ? 'attachment' : 'text',
+    text: summarize(messageData.message)
+  });
+}
+
+// The conversation with a customer, or null if there never was one.
+function get(psid) {
+  return conversations[psid] || null;
+}
+
+// Conversations, the most recently active first.
+function listRecent(limit) {
+  return Object.keys(conversations).map(function(psid) {
+    return conversations[psid];
+  }).sort(function(a, b) {
+    return b.lastMessageAt - a.lastMessageAt;
+  }).slice(0, limit);
+}
+
+module.exports = {
+  init: init,
+  recordInbound: recordInbound,
+  recordOutbound: recordOutbound,
+  get: get,
+  listRecent: listRecent
+};
@@ -0,0 +1,68 @@
+/*
+ * User Languages
+ *
+ * The language the bot speaks to each user. It is first taken from the
+ * locale in the user's Facebook profile; once a user picks a language with
+ * "change language", their choice sticks and the profile is no longer
+ * consulted. Kept in a JSON file in the data directory.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var languages = null;
+
+function init(options) {
+  languages = jsonStore.createStore(
+    path.join(options.dataDir, 'languages.json'));
+}
+
+// { psid, language, source, updatedAt }, or null for a user we know nothing
+// about yet. The source is "profile" or "user".
+function get(psid) {
+  return languages.get(psid) || null;
+}
+
+function set(psid, language, source) {
+  var entry = {
+    psid: psid,
+    language: language,
+    source: source,
+    updatedAt: Date.now()
+  };
+
+  languages.set(psid, entry);
+  return entry;
+}
+
+/*
+ * Record the language from the user's profile. Ignored when the user has
+ * picked a language themselves.
+ *
+ */
+function setFromProfile(psid, language) {
+  var entry = get(psid);
+  if (entry && entry.source === 'user') {
+    return entry;
+  }
+
+  return set(psid, language, 'profile');
+}
+
+// Record the language the user picked.
+function choose(psid, language) {
+  console.log("User %s switched to language %s", psid, language);
+  return set(psid, language, 'user');
+}
+
+module.exports = {
+  init: init,
+  get: get,
+  setFromProfile: setFromProfile,
+  choose: choose
+};
@@ -0,0 +1,101 @@
+/*
+ * User Profiles
+ *
+ * The first name, locale and timezone of each user, fetched from the User
+ * Profile API and cached in a JSON file in the data directory. A cached
+ * profile is fetched again once it is older than the TTL. When the API
+ * can't be reached the bot keeps using the profile it already has, if any,
+ * and tries again on the user's next message.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  jsonStore = require('./json-store'),
+  path = require('path');
+
+var profiles = null;
+var fetchProfile = null;
+var ttl = 0;
+
+/*
+ * Options:
+ *   dataDir - where to keep profiles.json
+ *   ttl     - milliseconds a fetched profile is good for
+ *   fetch   - function(psid, callback) calling back with the raw profile
+ *
+ */
+function init(options) {
+  profiles = jsonStore.createStore(
+    path.join(options.dataDir, 'profiles.json'));
+  fetchProfile = options.fetch;
+  ttl = options.ttl;
+}
+
+function isStale(profile, now) {
+  return now - profile.fetchedAt >= ttl;
+}
+
+/*
+ * The cached profile of a user, however old, or null if we never managed to
+ * fetch it: { psid, firstName, locale, timezone, fetchedAt, greetedAt }.
+ *
+ */
+function peek(psid) {
+  return profiles.get(psid) || null;
+}
+
+/*
+ * Call back with the user's profile, fetching it first if it isn't cached or
+ * has gone stale. Never calls back with an error: if the fetch fails, the
+ * callback gets the cached profile or null.
+ *
+ */
+function get(psid, callback) {
+  var cached = peek(psid);
+
+  if (cached && !isStale(cached, Date.now())) {
+    process.nextTick(callback, null, cached);
+    return;
+  }
+
+  fetchProfile(psid, function(err, body) {
+    if (err) {
+      console.error("Failed fetching the profile of user %s: %s", psid,
+        err.message);
+      callback(null, cached);
+      return;
+    }
+
+    var profile = Object.assign({}, cached, {
+      psid: psid,
+      firstName: body.first_name || null,
+      locale: body.locale || null,
+      timezone: typeof body.timezone === 'number' ? body.timezone : null,
+      fetchedAt: Date.now()
+    });
+
+    profiles.set(psid, profile);
+    callback(null, profile);
+  });
+}
+
+// Record that the user was just greeted, so next time we welcome them back.
+function markGreeted(psid) {
+  var profile = peek(psid);
+  if (!profile) {
+    return;
+  }
+
+  profile.greetedAt = Date.now();
+  profiles.set(psid, profile);
+}
+
+module.exports = {
+  init: init,
+  get: get,
+  peek: peek,
+  markGreeted: markGreeted
+};
@@ -0,0 +1,69 @@
+/*
+ * Messenger Profile Setup
+ *
+ * Sets the page's Get Started button, greeting, persistent menu and
+ * whitelisted domains from the profile file (messengerProfileFile in the
+ * config). Shows what would change first; with --dry-run that's all it does.
+ *
+ *   npm run setup-profile
+ *   npm run setup-profile -- --dry-run
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  config = require('config'),
+  messengerProfile = require('../lib/messenger-profile'),
+  path = require('path');
+
+const PAGE_ACCESS_TOKEN = (process.env.MESSENGER_PAGE_ACCESS_TOKEN) ?
+  (process.env.MESSENGER_PAGE_ACCESS_TOKEN) :
+  config.get('pageAccessToken');
+
+const GRAPH_API_URL = (process.env.GRAPH_API_URL) ?
+  (process.env.GRAPH_API_URL) :
+  config.get('graphApiUrl');
+
+const MESSENGER_PROFILE_FILE = path.resolve(__dirname, '..',
+  (process.env.MESSENGER_PROFILE_FILE) ?
+  (process.env.MESSENGER_PROFILE_FILE) :
+  config.get('messengerProfileFile'));
+
+var dryRun = process.argv.indexOf('--dry-run') !== -1;
+var profile;
+
+try {
+  profile = messengerProfile.load(MESSENGER_PROFILE_FILE);
+} catch (err) {
+  console.error("Failed loading the Messenger Profile from %s: %s",
+    MESSENGER_PROFILE_FILE, err.message);
+  process.exit(1);
+}
+
+messengerProfile.sync({
+  graphApiUrl: GRAPH_API_URL,
+  accessToken: PAGE_ACCESS_TOKEN,
+  profile: profile,
+  dryRun: dryRun
+}, function(err, result) {
+  if (err) {
+    console.error("Failed syncing the Messenger Profile: %s", err.message);
+    process.exit(1);
+  }
+
+  console.log(messengerProfile.formatDiff(result.changes));
+
+  var changed = result.changes.filter(function(change) {
+    return change.action !== 'none';
+  }).length;
+
+  if (!changed) {
+    console.log("The Messenger Profile is up to date.");
+  } else if (dryRun) {
+    console.log("[dry run] %d field(s) would be updated.", changed);
+  } else {
+    console.log("Updated %d field(s) of the Messenger Profile.", changed);
+  }
+});
@@ -0,0 +1,249 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  querystring = require('querystring'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+const REDIRECT_URI = 'https://www.facebook.com/messenger_platform/' +
+  'account_linking/?account_linking_token=ALT';
+
+describe('account linking', function() {
+  var user;
+
+  before(function(done) {
+    harness.start(function(err) {
+      assert.ifError(err);
+
+      harness.admin('POST', '/members', {
+        email: 'Eleni@example.com',
+        name: 'Eleni',
+        password: 'opa-opa-opa'
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 201);
+        assert.strictEqual(res.body.email, 'eleni@example.com');
+        assert.strictEqual(res.body.passwordHash, undefined);
+        done();
+      });
+    });
+  });
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+
+    // The account linking token was issued for the current user.
+    harness.graph.on('GET', '/me', function(call) {
+      assert.strictEqual(call.query.account_linking_token, 'ALT');
+      return { status: 200, body: { id: 'PAGE_ID', recipient: user } };
+    });
+  });
+
+  function signInAs(email, password, callback) {
+    harness.request('POST', '/authorize', {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: querystring.stringify({
+        account_linking_token: 'ALT',
+        redirect_uri: REDIRECT_URI,
+        email: email,
+        password: password
+      })
+    }, callback);
+  }
+
+  function signIn(password, callback) {
+    signInAs('eleni@example.com', password, callback);
+  }
+
+  // Sign in and pull the authorization code out of the redirect.
+  function authorizationCode(callback) {
+    signIn('opa-opa-opa', function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 302);
+      assert.strictEqual(res.headers.location.indexOf(REDIRECT_URI +
+        '&authorization_code='), 0);
+      callback(querystring.parse(res.headers.location.split('?')[1])
+        .authorization_code);
+    });
+  }
+
+  function link(psid, code, callback) {
+    harness.send(events.accountLinking(psid, 'linked', code), function(err) {
+      assert.ifError(err);
+      callback(harness.graph.messages(psid).pop().text);
+    });
+  }
+
+  function linkedMember(callback) {
+    harness.admin('GET', '/members', undefined, function(err, res) {
+      assert.ifError(err);
+      callback(res.body.find(function(member) {
+        return member.email === 'eleni@example.com';
+      }));
+    });
+  }
+
+  it('shows the sign in form', function(done) {
+    harness.request('GET', '/authorize?account_linking_token=ALT&' +
+      'redirect_uri=' + encodeURIComponent(REDIRECT_URI), {},
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 200);
+        assert.ok(/<form method="post" action="\/authorize">/.test(res.body));
+        assert.ok(/name="password"/.test(res.body));
+        done();
+      });
+  });
+
+  it('only sends codes back to Messenger', function(done) {
+    harness.request('GET', '/authorize?redirect_uri=' +
+      encodeURIComponent('https://evil.example.com/'), {},
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 400);
+        done();
+      });
+  });
+
+  it('rejects a wrong password', function(done) {
+    signIn('moussaka', function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 401);
+      assert.ok(/Wrong email or password/.test(res.body));
+      assert.strictEqual(res.headers.location, undefined);
+      done();
+    });
+  });
+
+  it('links and unlinks the member', function(done) {
+    authorizationCode(function(code) {
+      link(user, code, function(text) {
+        assert.strictEqual(text, "You're signed in, Eleni! Your loyalty " +
+          "account is now linked to this chat.");
+
+        linkedMember(function(member) {
+          assert.strictEqual(member.psid, user);
+
+          harness.send(events.message(user, 'loyalty account'), function(err) {
+            assert.ifError(err);
+            var payload = harness.graph.messages(user).pop().attachment.payload;
+            assert.strictEqual(payload.text,
+              "You're signed in to your loyalty account as Eleni.");
+            assert.strictEqual(payload.buttons[0].type, 'account_unlink');
+
+            harness.send(events.accountLinking(user, 'unlinked'),
+              function(err) {
+                assert.ifError(err);
+                assert.strictEqual(harness.graph.messages(user).pop().text,
+                  "You're signed out. Your loyalty account is no longer " +
+                  "linked to this chat.");
+
+                linkedMember(function(member) {
+                  assert.strictEqual(member.psid, null);
+                  done();
+                });
+              });
+          });
+        });
+      });
+    });
+  });
+
+  it('accepts each code once', function(done) {
+    authorizationCode(function(code) {
+      link(user, code, function() {
+        var other = harness.newUser();
+
+        link(other, code, function(text) {
+          assert.strictEqual(text, "Sorry, we couldn't link your loyalty " +
+            "account. Please try signing in again.");
+
+          linkedMember(function(member) {
+            assert.strictEqual(member.psid, user);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('only links the user who signed in', function(done) {
+    authorizationCode(function(code) {
+      var other = harness.newUser();
+
+      link(other, code, function(text) {
+        assert.strictEqual(text, "Sorry, we couldn't link your loyalty " +
+          "account. Please try signing in again.");
+
+        linkedMember(function(member) {
+          assert.notStrictEqual(member.psid, other);
+          done();
+        });
+      });
+    });
+  });
+
+  it('locks an account after too many wrong passwords', function(done) {
+    harness.admin('POST', '/members', {
+      email: 'nikos@example.com',
+      name: 'Nikos',
+      password: 'souvlaki!'
+    }, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 201);
+
+      var attempts = 0;
+      (function guess() {
+        signInAs('nikos@example.com', 'guess-' + attempts, function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 401);
+
+          if (++attempts < 5) {
+            guess();
+            return;
+          }
+
+          // Even the right password is refused while the account is locked.
+          signInAs('Nikos@example.com', 'souvlaki!', function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.status, 429);
+            assert.ok(/Too many failed sign ins/.test(res.body));
+            assert.strictEqual(res.headers.location, undefined);
+            done();
+          });
+        });
+      })();
+    });
+  });
+
+  it('rejects a forged code', function(done) {
+    authorizationCode(function(code) {
+      var parts = code.split('.');
+      parts[0] = 'M9999';
+
+      link(user, parts.join('.'), function(text) {
+        assert.strictEqual(text, "Sorry, we couldn't link your loyalty " +
+          "account. Please try signing in again.");
+        done();
+      });
+    });
+  });
+
+  it('offers to sign in', function(done) {
+    harness.send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_ACCOUNT'),
+      function(err) {
+        assert.ifError(err);
+        var button = harness.graph.messages(user)[0].attachment.payload
+          .buttons[0];
+        assert.deepStrictEqual(button, {
+          type: 'account_link',
+          url: 'https://bot.example.com/authorize'
+        });
+        done();
+      });
+  });
+});
@@ -0,0 +1,179 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  analytics = require('../lib/analytics'),
+  hours = require('../lib/hours');
+
+const events = harness.events;
+
+describe('analytics', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function report(urlPath, callback) {
+    harness.request('GET', '/admin/analytics' + urlPath, {
+      headers: { Authorization: 'Bearer test-admin-token' }
+    }, function(err, res) {
+      assert.ifError(err);
+      callback(res);
+    });
+  }
+
+  function send(event, callback) {
+    harness.send(event, function(err) {
+      assert.ifError(err);
+      callback();
+    });
+  }
+
+  function funnelUsers(callback) {
+    report('/funnel', function(res) {
+      assert.strictEqual(res.status, 200);
+      callback(res.body.map(function(step) {
+        return step.users;
+      }));
+    });
+  }
+
+  it('requires the admin token', function(done) {
+    harness.request('GET', '/admin/analytics', {}, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 401);
+      done();
+    });
+  });
+
+  it('follows users from the welcome card to an order', function(done) {
+    var browser = harness.newUser();
+
+    funnelUsers(function(before) {
+      send(events.postback(browser, 'GET_STARTED_BUTTON_PAYLOAD'), function() {
+        send(events.postback(user, 'GET_STARTED_BUTTON_PAYLOAD'), function() {
+          send(events.message(user, 'menu'), function() {
+            send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_CART_' +
+              'QUANTITY?item=moussaka&qty=1&mode=add'), function() {
+                send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_' +
+                  'CHECKOUT'), function() {
+                    send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_' +
+                      'CONFIRM_ORDER'), function() {
+                        funnelUsers(function(after) {
+                          assert.deepStrictEqual(after.map(function(users, i) {
+                            return users - before[i];
+                          }), [2, 1, 1, 1]);
+                          done();
+                        });
+                      });
+                  });
+              });
+          });
+        });
+      });
+    });
+  });
+
+  it('reports active users, intents and payloads', function(done) {
+    report('', function(res) {
+      assert.strictEqual(res.status, 200);
+      var before = res.body;
+
+      send(events.message(user, 'hours'), function() {
+        send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_FOR_MAIN_MENU' +
+          '_BACK'), function() {
+            report('', function(res) {
+              var after = res.body;
+              assert.strictEqual(after.to, before.to);
+              assert.strictEqual(after['daily-active-users'].length, 30);
+              assert.strictEqual(after['daily-active-users'].pop().users,
+                before['daily-active-users'].pop().users + 1);
+
+              function count(rows, key, value) {
+                var row = rows.find(function(row) {
+                  return row[key] === value;
+                });
+                return row ? row.count : 0;
+              }
+
+              assert.strictEqual(count(after.intents, 'intent', 'hours'),
+                count(before.intents, 'intent', 'hours') + 1);
+              assert.strictEqual(count(after.payloads, 'payload',
+                'DEVELOPER_DEFINED_PAYLOAD_FOR_MAIN_MENU_BACK'),
+                count(before.payloads, 'payload',
+                  'DEVELOPER_DEFINED_PAYLOAD_FOR_MAIN_MENU_BACK') + 1);
+              done();
+            });
+          });
+      });
+    });
+  });
+
+  it('exports unrecognised messages as CSV', function(done) {
+    send(events.message(user, 'Flarb,  "glorp"'), function() {
+      send(events.message(harness.newUser(), 'flarb, "GLORP"'), function() {
+        report('/unrecognised?format=csv&limit=1000', function(res) {
+          assert.strictEqual(res.status, 200);
+          assert.ok(/^text\/csv/.test(res.headers['content-type']));
+          assert.ok(/attachment; filename="unrecognised-/.test(
+            res.headers['content-disposition']));
+
+          var lines = res.body.split('\r\n');
+          assert.strictEqual(lines[0], 'text,count,users');
+          assert.ok(lines.indexOf('"flarb, ""glorp""",2,2') !== -1, res.body);
+          done();
+        });
+      });
+    });
+  });
+
+  it('skips events cut short by a crash', function(done) {
+    // As if the app died halfway through writing a line.
+    fs.appendFileSync(path.join(process.env.DATA_DIR, 'analytics',
+      hours.localTime(new Date()).date + '.jsonl'), '{"type":"text","psid":"');
+    analytics.init({ dataDir: process.env.DATA_DIR });
+
+    report('', function(res) {
+      assert.strictEqual(res.status, 200);
+      var before = res.body['daily-active-users'].pop().users;
+
+      send(events.message(user, 'hours'), function() {
+        report('/daily-active-users', function(res) {
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body.pop().users, before + 1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('rejects bad ranges and unknown reports', function(done) {
+    report('/funnel?from=2026-02-30', function(res) {
+      assert.strictEqual(res.status, 400);
+
+      report('/funnel?to=2026-13-45', function(res) {
+        assert.strictEqual(res.status, 400);
+        badRange();
+      });
+    });
+
+    function badRange() {
+      report('/intents?from=2026-05-02&to=2026-05-01', function(res) {
+        assert.strictEqual(res.status, 400);
+
+        report('/revenue', function(res) {
+          assert.strictEqual(res.status, 404);
+          done();
+        });
+      });
+    }
+  });
+});
@@ -0,0 +1,168 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+const LIKE_STICKER_ID = 369239263222822;
+
+describe('attachments', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function texts(psid) {
+    return harness.graph.messages(psid).map(function(message) {
+      return message.text;
+    });
+  }
+
+  function sticker(stickerId) {
+    var event = events.attachment(user, 'image', {
+      url: 'https://example.com/sticker.png',
+      sticker_id: stickerId
+    });
+    event.message.sticker_id = stickerId;
+    return event;
+  }
+
+  function sendPhoto(callback) {
+    harness.send(events.attachment(user, 'image', {
+      url: 'https://example.com/cold-gyro.jpg'
+    }), function(err) {
+      assert.ifError(err);
+      var question = harness.graph.messages(user)[0];
+      assert.strictEqual(question.text,
+        "Is this about an issue with your order?");
+      harness.graph.reset();
+      callback(question.quick_replies);
+    });
+  }
+
+  function tickets(callback) {
+    harness.admin('GET', '/tickets?psid=' + user, undefined, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 200);
+      callback(res.body);
+    });
+  }
+
+  it('acknowledges a like sticker', function(done) {
+    harness.send(sticker(LIKE_STICKER_ID), function(err) {
+      assert.ifError(err);
+      assert.deepStrictEqual(texts(user), ["Glad you like it! Let us know " +
+        "if there's anything else we can get you."]);
+      done();
+    });
+  });
+
+  it('answers other stickers and videos with the configured fallback',
+    function(done) {
+      harness.send(sticker(126361874215276), function(err) {
+        assert.ifError(err);
+        harness.send(events.attachment(user, 'video', {
+          url: 'https://example.com/dance.mp4'
+        }), function(err) {
+          assert.ifError(err);
+          assert.deepStrictEqual(texts(user), [
+            "Thanks for sending that! How can we help?",
+            "Thanks for sending that! How can we help?"
+          ]);
+          done();
+        });
+      });
+    });
+
+  it('opens a ticket with the photo when it is about an order',
+    function(done) {
+      sendPhoto(function(quickReplies) {
+        harness.send(events.quickReply(user, 'Yes', quickReplies[0].payload),
+          function(err) {
+            assert.ifError(err);
+
+            tickets(function(list) {
+              assert.strictEqual(list.length, 1);
+              assert.strictEqual(list[0].type, 'order_issue');
+              assert.strictEqual(list[0].status, 'open');
+              assert.deepStrictEqual(list[0].mediaUrls,
+                ['https://example.com/cold-gyro.jpg']);
+              assert.deepStrictEqual(texts(user), ["Sorry about that! We've " +
+                "opened ticket " + list[0].id + " with your photo and " +
+                "someone from our team will get back to you right here."]);
+              assert.ok(texts('STAFF_PSID').some(function(text) {
+                return text.indexOf('(ticket ' + list[0].id + ')') !== -1;
+              }));
+
+              // Answering again doesn't open another ticket.
+              harness.send(events.quickReply(user, 'Yes',
+                quickReplies[0].payload), function(err) {
+                  assert.ifError(err);
+                  tickets(function(list) {
+                    assert.strictEqual(list.length, 1);
+                    done();
+                  });
+                });
+            });
+          });
+      });
+    });
+
+  it('opens no ticket when the photo is not about an order', function(done) {
+    sendPhoto(function(quickReplies) {
+      harness.send(events.quickReply(user, 'No', quickReplies[1].payload),
+        function(err) {
+          assert.ifError(err);
+          assert.deepStrictEqual(texts(user),
+            ["Thanks for sharing! What else can we do for you?"]);
+          tickets(function(list) {
+            assert.deepStrictEqual(list, []);
+            done();
+          });
+        });
+    });
+  });
+
+  it('keeps voice messages for staff and closes their tickets',
+    function(done) {
+      harness.send(events.attachment(user, 'audio', {
+        url: 'https://example.com/voice.mp4'
+      }), function(err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(texts(user), ["Thanks for your voice message! " +
+          "Someone from our team will listen to it and get back to you right " +
+          "here."]);
+
+        tickets(function(list) {
+          assert.strictEqual(list.length, 1);
+          assert.strictEqual(list[0].type, 'audio');
+
+          var path = '/tickets/' + list[0].id + '/close';
+          harness.admin('POST', path, {}, function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.status, 'closed');
+
+            harness.admin('POST', path, {}, function(err, res) {
+              assert.ifError(err);
+              assert.strictEqual(res.status, 409);
+
+              harness.admin('POST', '/tickets/T0/close', {},
+                function(err, res) {
+                  assert.ifError(err);
+                  assert.strictEqual(res.status, 404);
+                  done();
+                });
+            });
+          });
+        });
+      });
+    });
+});
@@ -0,0 +1,128 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  dailySpecials = require('../lib/daily-specials'),
+  fs = require('fs'),
+  harness = require('./support/harness'),
+  os = require('os'),
+  path = require('path');
+
+const events = harness.events;
+
+describe('daily specials', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function names(specials) {
+    return specials.map(function(special) {
+      return special.name;
+    });
+  }
+
+  function titles(message) {
+    return message.attachment.payload.elements.map(function(element) {
+      return element.title;
+    });
+  }
+
+  it('shows what is on today when asked in text', function(done) {
+    harness.send(events.message(user, "what's today's special?"),
+      function(err) {
+        assert.ifError(err);
+
+        var messages = harness.graph.messages(user);
+        assert.ok(/^Today's special:\nHouse Moussaka/.test(messages[0].text));
+        assert.strictEqual(titles(messages[1])[0], 'Moussaka');
+        done();
+      });
+  });
+
+  it('schedules specials by weekday, date and meal', function() {
+    // 2030-02-01 is a Friday.
+    assert.deepStrictEqual(names(dailySpecials.getForDay('2030-02-01')),
+      ['House Moussaka', 'Opening Day', 'Friday Lunch', 'Friday Dinner']);
+    assert.deepStrictEqual(names(dailySpecials.getForDay('2030-02-02')),
+      ['House Moussaka']);
+    assert.deepStrictEqual(dailySpecials.getForDay('2019-12-31'), []);
+  });
+
+  it('splits the day into what is on now and later', function() {
+    // 13:00 in New York.
+    var today = dailySpecials.getCurrent(new Date('2030-02-01T18:00:00Z'));
+
+    assert.strictEqual(today.date, '2030-02-01');
+    assert.deepStrictEqual(names(today.now),
+      ['House Moussaka', 'Opening Day', 'Friday Lunch']);
+    assert.deepStrictEqual(names(today.later), ['Friday Dinner']);
+  });
+
+  it('rejects a schedule with an unknown weekday', function() {
+    var file = path.join(os.tmpdir(), 'daily-specials-' + process.pid +
+      '.json');
+    fs.writeFileSync(file, JSON.stringify({
+      specials: [{ name: 'Bad', items: ['moussaka'], weekdays: ['funday'] }]
+    }));
+
+    try {
+      assert.throws(function() {
+        dailySpecials.load(file);
+      }, /unknown weekday 'funday'/);
+    } finally {
+      fs.unlinkSync(file);
+    }
+
+    // The schedule that was loaded before is kept.
+    assert.strictEqual(dailySpecials.getForDay('2030-02-02').length, 1);
+  });
+
+  it('pushes the specials of the day to subscribers', function(done) {
+    harness.send(events.message(user,
+      'send me the daily special every morning'), function(err) {
+        assert.ifError(err);
+        harness.graph.reset();
+
+        harness.admin('POST', '/subscriptions/push', { date: '2030-02-01' },
+          function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.status, 202);
+
+            harness.settle(function() {
+              var messages = harness.graph.messages(user);
+              assert.deepStrictEqual(titles(messages[1]), ['Moussaka',
+                'Famous Greek Combo', 'Family Meal for 4 - Subs and Pitas',
+                'Family Meal for 6 - Grilled Chicken with Rice!']);
+              done();
+            });
+          });
+      });
+  });
+
+  it('falls back to the daily deals when nothing is scheduled',
+    function(done) {
+      harness.send(events.message(user,
+        'send me the daily special every morning'), function(err) {
+          assert.ifError(err);
+          harness.graph.reset();
+
+          harness.admin('POST', '/subscriptions/push', { date: '2019-06-01' },
+            function(err, res) {
+              assert.ifError(err);
+              assert.strictEqual(res.status, 202);
+
+              harness.settle(function() {
+                var messages = harness.graph.messages(user);
+                assert.strictEqual(titles(messages[1]).length, 3);
+                done();
+              });
+            });
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+// config/test.json hands conversations back to the bot after 1.2 seconds.
+const TIMEOUT_MS = 1200;
+
+describe('human handoff', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function say(text, callback) {
+    harness.send(events.message(user, text), function(err) {
+      assert.ifError(err);
+      callback(harness.graph.messages(user));
+    });
+  }
+
+  function staffTexts() {
+    return harness.graph.messages('STAFF_PSID').map(function(message) {
+      return message.text;
+    });
+  }
+
+  it('hands the conversation to staff and back', function(done) {
+    say('talk to a person', function(messages) {
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(messages[0].text, "Sure! I've let our team know and " +
+        "someone will reply right here shortly. I'll stay out of the way " +
+        "until then.");
+      assert.strictEqual(messages[0].quick_replies[0].payload,
+        'DEVELOPER_DEFINED_PAYLOAD_BACK_TO_BOT');
+      assert.deepStrictEqual(staffTexts(),
+        [user + ' would like to talk to a person.']);
+
+      harness.graph.reset();
+      say('menu please, and is the moussaka spicy?', function(messages) {
+        assert.deepStrictEqual(messages, []);
+        assert.deepStrictEqual(staffTexts(),
+          [user + ': menu please, and is the moussaka spicy?']);
+
+        harness.admin('GET', '/handoffs', undefined, function(err, res) {
+          assert.ifError(err);
+          assert.ok(res.body.some(function(handoff) {
+            return handoff.psid === user && handoff.reason === 'requested';
+          }));
+          reply();
+        });
+      });
+    });
+
+    function reply() {
+      harness.admin('POST', '/handoffs/' + user + '/messages',
+        { text: 'Not at all!' }, function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body.sent, true);
+
+          harness.settle(function() {
+            assert.strictEqual(harness.graph.messages(user).pop().text,
+              'Not at all!');
+            backToBot();
+          });
+        });
+    }
+
+    function backToBot() {
+      harness.graph.reset();
+      harness.send(events.quickReply(user, 'Back to Bot',
+        'DEVELOPER_DEFINED_PAYLOAD_BACK_TO_BOT'), function(err) {
+          assert.ifError(err);
+          assert.deepStrictEqual(harness.graph.messages(user), [{
+            text: "You're chatting with the bot again. How can I help?"
+          }]);
+
+          say('menu', function(messages) {
+            assert.strictEqual(messages.pop().attachment.payload.elements[0]
+              .title, 'Family Meals');
+            done();
+          });
+        });
+    }
+  });
+
+  it('hands over after three messages it did not understand', function(done) {
+    say('blorf', function(messages) {
+      assert.strictEqual(messages[0].text, "Sorry, I didn't get that. You " +
+        "can pick one of these, or talk to a person.");
+      assert.deepStrictEqual(messages[0].quick_replies.map(function(reply) {
+        return reply.title;
+      }), ['Menu', 'Talk to a Person', 'Start Over']);
+
+      say('zzgrk', function() {
+        harness.graph.reset();
+
+        say('qwxv', function(messages) {
+          assert.deepStrictEqual(messages.map(function(message) {
+            return message.text;
+          }), ["Sorry, I'm having trouble understanding. I've asked someone " +
+            "from our team to help, they'll reply right here shortly."]);
+          assert.deepStrictEqual(staffTexts(), [
+            "The bot couldn't understand " + user + ", they've been handed " +
+              "over to staff.",
+            user + ': qwxv'
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('starts counting again after a message it understood', function(done) {
+    say('blorf', function() {
+      say('zzgrk', function() {
+        say('hours', function() {
+          harness.graph.reset();
+
+          say('qwxv', function(messages) {
+            assert.strictEqual(messages[0].quick_replies.length, 3);
+            assert.deepStrictEqual(staffTexts(), []);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('lets staff hand the conversation back', function(done) {
+    say('talk to a person', function() {
+      harness.admin('POST', '/handoffs/' + user + '/end', {},
+        function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body.endedBy, 'staff');
+
+          harness.admin('POST', '/handoffs/' + user + '/messages',
+            { text: 'Hello?' }, function(err, res) {
+              assert.ifError(err);
+              assert.strictEqual(res.status, 409);
+
+              harness.settle(function() {
+                assert.strictEqual(harness.graph.messages(user).pop().text,
+                  "You're chatting with the bot again. How can I help?");
+                done();
+              });
+            });
+        });
+    });
+  });
+
+  it('gives the conversation back to the bot after a while', function(done) {
+    this.timeout(5000);
+
+    say('talk to a person', function() {
+      setTimeout(function() {
+        harness.graph.reset();
+
+        say('menu', function(messages) {
+          assert.strictEqual(messages[0].text, "It's been quiet for a while, " +
+            "so the bot is back. Ask for a person any time.");
+          assert.strictEqual(messages.pop().attachment.payload.elements[0]
+            .title, 'Family Meals');
+          done();
+        });
+      }, TIMEOUT_MS + 100);
+    });
+  });
+});
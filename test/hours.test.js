@@ -0,0 +1,116 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  hours = require('../lib/hours');
+
+const events = harness.events;
+
+const HOURS_FILE = path.join(__dirname, 'fixtures', 'hours.json');
+
+describe('opening hours', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function texts() {
+    return harness.graph.messages(user).map(function(message) {
+      return message.text;
+    });
+  }
+
+  function ask(text, callback) {
+    harness.send(events.message(user, text), function(err) {
+      assert.ifError(err);
+      callback(texts());
+    });
+  }
+
+  // The fixture schedule is open around the clock.
+  it('answers whether the restaurant is open now', function(done) {
+    ask('are you open now?', function(texts) {
+      assert.deepStrictEqual(texts,
+        ["Yes! We're open right now until 12:00AM."]);
+      done();
+    });
+  });
+
+  it('answers when the restaurant closes today', function(done) {
+    ask('when do you close today?', function(texts) {
+      assert.deepStrictEqual(texts, ["We close at 12:00AM today."]);
+      done();
+    });
+  });
+
+  it('answers for another day', function(done) {
+    ask('are you open tomorrow?', function(texts) {
+      assert.deepStrictEqual(texts,
+        ["Tomorrow we're open 12:00AM - 12:00AM."]);
+      done();
+    });
+  });
+
+  describe('while closed', function() {
+    var dir;
+
+    before(function() {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-bot-hours-'));
+      var file = path.join(dir, 'hours.json');
+      fs.writeFileSync(file, JSON.stringify({
+        timezone: 'America/New_York',
+        weekly: {}
+      }));
+      hours.load(file);
+    });
+
+    after(function() {
+      hours.load(HOURS_FILE);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('says the restaurant is closed', function(done) {
+      ask('are you open?', function(texts) {
+        assert.deepStrictEqual(texts, ["We're closed right now."]);
+        done();
+      });
+    });
+
+    it('tells users messaging after hours once per session', function(done) {
+      ask('menu', function(first) {
+        assert.strictEqual(first[0], "We're closed right now.");
+
+        harness.graph.reset();
+        ask('menu', function(second) {
+          assert.strictEqual(second.indexOf("We're closed right now."), -1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('converts local times to instants across DST changes', function() {
+    // The fixture schedule is in New York, which springs forward on
+    // 2030-03-10 and falls back on 2030-11-03, both at 2AM.
+    [
+      ['2030-03-10', 60, '2030-03-10T06:00:00.000Z', -300],
+      ['2030-03-10', 180, '2030-03-10T07:00:00.000Z', -240],
+      ['2030-11-03', 60, '2030-11-03T05:00:00.000Z', -240],
+      ['2030-11-03', 180, '2030-11-03T08:00:00.000Z', -300],
+      ['2030-07-01', 1200, '2030-07-02T00:00:00.000Z', -240]
+    ].forEach(function(example) {
+      var instant = hours.toInstant(example[0], example[1]);
+      assert.strictEqual(instant.toISOString(), example[2]);
+      assert.strictEqual(hours.getUtcOffset(instant), example[3]);
+    });
+  });
+});
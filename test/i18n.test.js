@@ -0,0 +1,160 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  i18n = require('../lib/i18n');
+
+const events = harness.events;
+
+describe('languages', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function profile(locale) {
+    harness.graph.on('GET', '/' + user, function() {
+      return { status: 200, body: { id: user, locale: locale } };
+    });
+  }
+
+  function profileLookups() {
+    return harness.graph.calls().filter(function(call) {
+      return call.method === 'GET' && call.path === '/' + user;
+    });
+  }
+
+  function cardTitles(message) {
+    return message.attachment.payload.elements.map(function(element) {
+      return element.title;
+    });
+  }
+
+  function replyTitles(message) {
+    return message.quick_replies.map(function(reply) {
+      return reply.title;
+    });
+  }
+
+  it('speaks the language of the profile locale', function(done) {
+    profile('es_LA');
+
+    harness.send(events.message(user, 'hello'), function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(cardTitles(messages[0])[0],
+        'Bienvenido a Famous Greek');
+      assert.strictEqual(messages[1].text, '¡Hola! Nos alegra verte.');
+      assert.strictEqual(profileLookups()[0].query.fields,
+        'first_name,locale,timezone');
+      done();
+    });
+  });
+
+  it('translates menu items', function(done) {
+    profile('el_GR');
+
+    harness.send(events.postback(user,
+      'DEVELOPER_DEFINED_PAYLOAD_FOR_ALL_SPECIAL'), function(err) {
+        assert.ifError(err);
+
+        var card = harness.graph.messages(user)[0].attachment.payload
+          .elements.find(function(element) {
+            return element.buttons[1].payload ===
+              'DEVELOPER_DEFINED_PAYLOAD_ADD_TO_CART?item=moussaka';
+          });
+        assert.strictEqual(card.title, 'Μουσακάς');
+        assert.ok(/^\$13\.49 - Στρώσεις μελιτζάνας/.test(card.subtitle));
+        assert.deepStrictEqual(card.buttons.map(function(button) {
+          return button.title;
+        }), ['Παραγγελία', 'Στο καλάθι', 'Πίσω']);
+        done();
+      });
+  });
+
+  it('falls back to English for other locales', function(done) {
+    profile('de_DE');
+
+    harness.send(events.message(user, 'hello'), function(err) {
+      assert.ifError(err);
+      assert.strictEqual(harness.graph.messages(user)[1].text,
+        "Hi, We'r happy to see u..");
+
+      harness.send(events.message(user, 'menu'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(profileLookups().length, 1);
+        done();
+      });
+    });
+  });
+
+  it('uses English and asks again when the profile fails', function(done) {
+    harness.send(events.message(user, 'hello'), function(err) {
+      assert.ifError(err);
+      assert.strictEqual(harness.graph.messages(user)[1].text,
+        "Hi, We'r happy to see u..");
+
+      profile('es_ES');
+      harness.send(events.message(user, 'hello'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(profileLookups().length, 2);
+        assert.strictEqual(harness.graph.messages(user).pop().text,
+          '¡Hola! Nos alegra verte.');
+        done();
+      });
+    });
+  });
+
+  it('has every string translated in every bundle', function() {
+    var warnings = [];
+    var warn = console.warn;
+
+    console.warn = function() {
+      warnings.push(Array.prototype.slice.call(arguments));
+    };
+    try {
+      i18n.load(path.join(__dirname, '..', 'config', 'locales'), 'en');
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.deepStrictEqual(warnings, []);
+  });
+
+  it('keeps the language the user picked', function(done) {
+    profile('es_LA');
+
+    harness.send(events.message(user, 'change language'), function(err) {
+      assert.ifError(err);
+
+      var question = harness.graph.messages(user)[0];
+      assert.strictEqual(question.text,
+        '¿En qué idioma prefieres que te hable?');
+      assert.deepStrictEqual(replyTitles(question),
+        ['English', 'Ελληνικά', 'Español']);
+
+      harness.graph.reset();
+      profile('es_LA');
+      harness.send(events.quickReply(user, 'Ελληνικά',
+        question.quick_replies[1].payload), function(err) {
+          assert.ifError(err);
+
+          var messages = harness.graph.messages(user);
+          assert.strictEqual(messages[0].text,
+            'Έγινε! Από εδώ και πέρα θα σου μιλάω ελληνικά.');
+          assert.strictEqual(cardTitles(messages[1])[0],
+            'Καλώς ήρθες στο Famous Greek');
+          assert.strictEqual(profileLookups().length, 0);
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  path = require('path'),
+  querystring = require('querystring'),
+  harness = require('./support/harness'),
+  transcripts = require('../lib/transcripts');
+
+const events = harness.events;
+
+const FORM = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+describe('staff inbox', function() {
+  var user;
+  var cookie;
+
+  before(function(done) {
+    harness.start(function(err) {
+      assert.ifError(err);
+
+      harness.request('POST', '/inbox/login', {
+        headers: FORM,
+        body: querystring.stringify({ token: 'test-admin-token' })
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 303);
+        assert.strictEqual(res.headers.location, '/inbox');
+
+        var setCookie = res.headers['set-cookie'][0];
+        assert.ok(/HttpOnly/.test(setCookie));
+        assert.ok(/SameSite=Strict/.test(setCookie));
+        cookie = setCookie.split(';')[0];
+        done();
+      });
+    });
+  });
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function page(method, urlPath, form, callback) {
+    var headers = Object.assign({ Cookie: cookie }, form ? FORM : {});
+
+    harness.request(method, urlPath, {
+      headers: headers,
+      body: form ? querystring.stringify(form) : undefined
+    }, function(err, res) {
+      assert.ifError(err);
+      callback(res);
+    });
+  }
+
+  function say(text, callback) {
+    harness.send(events.message(user, text), function(err) {
+      assert.ifError(err);
+      callback();
+    });
+  }
+
+  it('sends staff without a session to sign in', function(done) {
+    harness.request('GET', '/inbox', {}, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 303);
+      assert.strictEqual(res.headers.location, '/inbox/login');
+
+      harness.request('POST', '/inbox/login', {
+        headers: FORM,
+        body: querystring.stringify({ token: 'moussaka' })
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 401);
+        assert.ok(/Wrong token/.test(res.body));
+        assert.strictEqual(res.headers['set-cookie'], undefined);
+
+        harness.request('GET', '/inbox', {
+          headers: { Cookie: 'staff_session=9999999999999.forged' }
+        }, function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 303);
+          done();
+        });
+      });
+    });
+  });
+
+  it('lists conversations with their flow and handoff', function(done) {
+    say('book a table', function() {
+      var other = user;
+      user = harness.newUser();
+
+      say('talk to a person', function() {
+        page('GET', '/inbox', null, function(res) {
+          assert.strictEqual(res.status, 200);
+
+          var rows = res.body.split('<tr>');
+          var handedOver = rows.find(function(row) {
+            return row.indexOf('/inbox/' + user + '"') !== -1;
+          });
+          var booking = rows.find(function(row) {
+            return row.indexOf('/inbox/' + other + '"') !== -1;
+          });
+
+          assert.ok(/talk to a person/.test(handedOver), handedOver);
+          assert.ok(/Talking to staff/.test(handedOver), handedOver);
+          assert.ok(/book a table/.test(booking), booking);
+          assert.ok(/reservation \/ date/.test(booking), booking);
+          assert.ok(rows.indexOf(handedOver) < rows.indexOf(booking));
+          done();
+        });
+      });
+    });
+  });
+
+  it('shows the transcript and lets staff reply', function(done) {
+    say('hours', function() {
+      page('POST', '/inbox/' + user + '/messages', { text: 'Hi from the team!' },
+        function(res) {
+          assert.strictEqual(res.status, 303);
+          assert.strictEqual(res.headers.location, '/inbox/' + user);
+
+          page('POST', '/inbox/' + user + '/menu', {}, function(res) {
+            assert.strictEqual(res.status, 303);
+
+            harness.settle(function() {
+              var messages = harness.graph.messages(user);
+              assert.strictEqual(messages[messages.length - 2].text,
+                'Hi from the team!');
+              assert.strictEqual(messages[messages.length - 1].attachment
+                .payload.elements[0].title, 'Family Meals');
+              transcript();
+            });
+          });
+        });
+    });
+
+    function transcript() {
+      page('GET', '/inbox/' + user, null, function(res) {
+        assert.strictEqual(res.status, 200);
+
+        var messages = res.body.split('class="message ').slice(1);
+        assert.ok(/^in"/.test(messages[0]));
+        assert.ok(/hours/.test(messages[0]));
+        assert.ok(/^out"[\s\S]*Bot,/.test(messages[1]));
+        assert.ok(/^out"[\s\S]*Staff,[\s\S]*Hi from the team!/
+          .test(messages[messages.length - 2]));
+        assert.ok(/\[generic\] Family Meals/.test(messages[messages.length - 1]));
+        done();
+      });
+    }
+  });
+
+  it('keeps transcripts in a log that survives a restart', function(done) {
+    say('hours', function() {
+      var recorded = transcripts.get(user);
+      var file = path.join(process.env.DATA_DIR, 'transcripts.jsonl');
+
+      // As if the app died halfway through writing a line.
+      fs.appendFileSync(file, '{"psid":"' + user + '","direc');
+      transcripts.init({ dataDir: process.env.DATA_DIR });
+
+      assert.deepStrictEqual(transcripts.get(user), recorded);
+      assert.strictEqual(fs.readFileSync(file, 'utf8').split('\n').pop(), '');
+      done();
+    });
+  });
+
+  it('does not send empty replies', function(done) {
+    say('hours', function() {
+      harness.graph.reset();
+
+      page('POST', '/inbox/' + user + '/messages', { text: '  ' },
+        function(res) {
+          assert.strictEqual(res.status, 303);
+          assert.strictEqual(res.headers.location,
+            '/inbox/' + user + '?error=empty');
+
+          harness.settle(function() {
+            assert.deepStrictEqual(harness.graph.messages(user), []);
+            done();
+          });
+        });
+    });
+  });
+});
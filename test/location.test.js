@@ -0,0 +1,80 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+const RESTAURANT = '28.012431,-82.7138837';
+
+describe('shared locations', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function shareLocation(lat, long, callback) {
+    harness.send(events.attachment(user, 'location', {
+      coordinates: { lat: lat, long: long }
+    }), function(err) {
+      assert.ifError(err);
+      var messages = harness.graph.messages(user);
+      callback(messages[0].text, messages[1].attachment.payload);
+    });
+  }
+
+  it('tells nearby users the terms of delivery', function(done) {
+    shareLocation(28.03, -82.7138837, function(text, payload) {
+      assert.strictEqual(text, "You're 1.2 miles from Famous Greek, about " +
+        "4 minutes away by car.");
+      assert.strictEqual(payload.text, "Good news, we deliver to you! " +
+        "Minimum order $15.00, delivery fee $2.99.");
+      assert.deepStrictEqual(payload.buttons[0], {
+        type: 'web_url',
+        url: 'https://www.google.com/maps/dir/?api=1&origin=28.03,' +
+          '-82.7138837&destination=' + RESTAURANT,
+        title: 'Get Directions'
+      });
+      assert.strictEqual(payload.buttons[1].payload,
+        'DEVELOPER_DEFINED_PAYLOAD_FOR_MENU');
+      done();
+    });
+  });
+
+  it('applies the zone the user is in', function(done) {
+    shareLocation(28.08, -82.7138837, function(text, payload) {
+      assert.strictEqual(text, "You're 4.7 miles from Famous Greek, about " +
+        "15 minutes away by car.");
+      assert.strictEqual(payload.text, "Good news, we deliver to you! " +
+        "Minimum order $25.00, delivery fee $4.99.");
+      done();
+    });
+  });
+
+  it('offers pickup outside the delivery area', function(done) {
+    shareLocation(28.5383, -81.3792, function(text, payload) {
+      assert.ok(/^You're 89 miles from Famous Greek/.test(text));
+      assert.strictEqual(payload.text, "Sorry, we only deliver up to 6 " +
+        "miles away, but you're welcome to order for pickup.");
+      assert.strictEqual(payload.buttons[0].title, 'Get Directions');
+      done();
+    });
+  });
+
+  it('still welcomes users who send other attachments', function(done) {
+    harness.send(events.attachment(user, 'fallback', {
+      url: 'https://example.com/moussaka'
+    }), function(err) {
+      assert.ifError(err);
+      assert.strictEqual(harness.graph.messages(user)[0].attachment.payload
+        .template_type, 'generic');
+      done();
+    });
+  });
+});
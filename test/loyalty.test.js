@@ -0,0 +1,292 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  path = require('path'),
+  querystring = require('querystring'),
+  harness = require('./support/harness'),
+  loyalty = require('../lib/loyalty'),
+  orders = require('../lib/orders');
+
+const events = harness.events;
+
+const REDIRECT_URI = 'https://www.facebook.com/messenger_platform/' +
+  'account_linking/?account_linking_token=ALT';
+
+describe('loyalty points', function() {
+  var user;
+  var memberId;
+  var memberCount = 0;
+
+  before(harness.start);
+
+  beforeEach(function(done) {
+    harness.graph.reset();
+    user = harness.newUser();
+    join(done);
+  });
+
+  // Create a loyalty member, sign in as them and link them to the user.
+  function join(callback) {
+    var email = 'regular' + (++memberCount) + '@example.com';
+
+    harness.admin('POST', '/members', {
+      email: email,
+      name: 'Regular',
+      password: 'kalimera!'
+    }, function(err, res) {
+      assert.ifError(err);
+      memberId = res.body.id;
+
+      harness.graph.on('GET', '/me', function() {
+        return { status: 200, body: { id: 'PAGE_ID', recipient: user } };
+      });
+
+      harness.request('POST', '/authorize', {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: querystring.stringify({
+          account_linking_token: 'ALT',
+          redirect_uri: REDIRECT_URI,
+          email: email,
+          password: 'kalimera!'
+        })
+      }, function(err, res) {
+        assert.ifError(err);
+        var code = querystring.parse(res.headers.location.split('?')[1])
+          .authorization_code;
+
+        harness.send(events.accountLinking(user, 'linked', code),
+          function(err) {
+            assert.ifError(err);
+            harness.graph.reset();
+            callback();
+          });
+      });
+    });
+  }
+
+  function lastText() {
+    return harness.graph.messages(user).pop().text;
+  }
+
+  function postback(payload, callback) {
+    harness.send(events.postback(user, payload), function(err) {
+      assert.ifError(err);
+      callback();
+    });
+  }
+
+  function order(itemId, quantity, callback) {
+    postback('DEVELOPER_DEFINED_PAYLOAD_CART_QUANTITY?item=' + itemId +
+      '&qty=' + quantity + '&mode=add', function() {
+        postback('DEVELOPER_DEFINED_PAYLOAD_CONFIRM_ORDER', callback);
+      });
+  }
+
+  it('asks users who are not signed in to sign in', function(done) {
+    var stranger = harness.newUser();
+
+    harness.send(events.message(stranger, 'my points'), function(err) {
+      assert.ifError(err);
+
+      var payload = harness.graph.messages(stranger)[0].attachment.payload;
+      assert.strictEqual(payload.text, "Sign in to your loyalty account to " +
+        "collect points and redeem rewards.");
+      assert.strictEqual(payload.buttons[0].type, 'account_link');
+      done();
+    });
+  });
+
+  function say(text, callback) {
+    harness.send(events.message(user, text), function(err) {
+      assert.ifError(err);
+      callback();
+    });
+  }
+
+  function checkInCode(callback) {
+    harness.admin('GET', '/loyalty/check-in-code', undefined,
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 200);
+        assert.ok(/^[A-Z2-9]{6}$/.test(res.body.code), res.body.code);
+        callback(res.body.code);
+      });
+  }
+
+  function pickUp(orderId, callback) {
+    harness.admin('POST', '/orders/' + orderId + '/picked-up', {},
+      function(err, res) {
+        assert.ifError(err);
+        harness.settle(function() {
+          callback(res);
+        });
+      });
+  }
+
+  it('awards points for a check-in with the day\'s code once a day',
+    function(done) {
+      say('check in', function() {
+        assert.strictEqual(lastText(), "What's today's check-in code? " +
+          "You'll find it at the counter.");
+
+        say('NOTTODAY', function() {
+          assert.strictEqual(lastText(), "That isn't today's check-in code. " +
+            "Please check the code at the counter and try again.");
+
+          checkInCode(function(code) {
+            say(code.toLowerCase(), function() {
+              assert.strictEqual(lastText(), "Thanks for checking in! You " +
+                "earned 10 points. You have 10 points.");
+              checkInAgain();
+            });
+          });
+        });
+      });
+
+    function checkInAgain() {
+      postback('DEVELOPER_DEFINED_PAYLOAD_CHECK_IN', function() {
+        assert.strictEqual(lastText(),
+          "You've already checked in today. See you again tomorrow!");
+
+        harness.send(events.message(user, 'my points'), function(err) {
+          assert.ifError(err);
+          var message = harness.graph.messages(user).pop();
+          assert.strictEqual(message.text, 'You have 10 points.');
+          assert.deepStrictEqual(message.quick_replies.map(function(reply) {
+            return reply.title;
+          }), ['Rewards', 'Check In']);
+          done();
+        });
+      });
+    }
+  });
+
+  it('awards points for orders once they are picked up', function(done) {
+    // 13.49 plus 7% tax
+    order('moussaka', 1, function() {
+      var placed = orders.getLatestOrder(user);
+      assert.strictEqual(loyalty.getBalance(memberId), 0);
+
+      pickUp(placed.id, function(res) {
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.order.status, 'picked_up');
+        assert.strictEqual(res.body.entry.points, 14);
+        assert.strictEqual(lastText(),
+          "You earned 14 points with this order! You have 14 points.");
+
+        pickUp(placed.id, function(res) {
+          assert.strictEqual(res.status, 409);
+          assert.strictEqual(loyalty.getBalance(memberId), 14);
+          done();
+        });
+      });
+    });
+  });
+
+  it('starts from a ledger with a line cut short by a crash', function(done) {
+    order('moussaka', 1, function() {
+      pickUp(orders.getLatestOrder(user).id, function(res) {
+        assert.strictEqual(res.status, 200);
+
+        fs.appendFileSync(path.join(process.env.DATA_DIR,
+          'points-ledger.jsonl'), '{"id":"P9999","memberId":"' + memberId);
+        loyalty.init({ dataDir: process.env.DATA_DIR,
+          secret: 'test-app-secret' });
+        assert.strictEqual(loyalty.getBalance(memberId), 14);
+
+        // Entries made after it are kept on the next start too.
+        order('moussaka', 1, function() {
+          pickUp(orders.getLatestOrder(user).id, function(res) {
+            assert.strictEqual(res.status, 200);
+            loyalty.init({ dataDir: process.env.DATA_DIR,
+              secret: 'test-app-secret' });
+            assert.strictEqual(loyalty.getBalance(memberId), 28);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('shows the rewards', function(done) {
+    postback('DEVELOPER_DEFINED_PAYLOAD_REWARDS', function() {
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages[0].text, 'You have 0 points.');
+
+      var elements = messages[1].attachment.payload.elements;
+      assert.deepStrictEqual(elements.map(function(element) {
+        return element.title;
+      }), ['Free Dessert', 'Free Famous Greek Combo', '$10 Off a Family Meal']);
+      assert.ok(/^100 points - /.test(elements[0].subtitle));
+      assert.strictEqual(elements[0].buttons[0].payload,
+        'DEVELOPER_DEFINED_PAYLOAD_REDEEM?reward=free-dessert');
+      done();
+    });
+  });
+
+  it('says how many points are missing', function(done) {
+    postback('DEVELOPER_DEFINED_PAYLOAD_REDEEM?reward=free-combo', function() {
+      assert.strictEqual(lastText(),
+        "You need 250 more points for Free Famous Greek Combo.");
+      done();
+    });
+  });
+
+  it('redeems a reward for a code staff use once', function(done) {
+    // 2 x 74.99 plus 7% tax
+    order('souvlaki-gyro-platter', 2, function() {
+      pickUp(orders.getLatestOrder(user).id, function(res) {
+        assert.strictEqual(res.status, 200);
+        redeem();
+      });
+    });
+
+    function redeem() {
+      postback('DEVELOPER_DEFINED_PAYLOAD_REDEEM?reward=free-dessert',
+        function() {
+          var question = harness.graph.messages(user).pop();
+          assert.strictEqual(question.text,
+            'Redeem Free Dessert for 100 points?');
+
+          postback(question.quick_replies[0].payload, function() {
+            var match = /^Enjoy! Your code is ([A-Z2-9]{6})\. Show it at the counter to get your Free Dessert; it can only be used once\. You have 60 points\.$/
+              .exec(lastText());
+            assert.ok(match, lastText());
+
+            useCode(match[1]);
+          });
+        });
+    }
+
+    function useCode(code) {
+      harness.admin('POST', '/loyalty/redemptions/' + code + '/use', {},
+        function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body.status, 'used');
+          assert.strictEqual(res.body.rewardId, 'free-dessert');
+
+          harness.admin('POST', '/loyalty/redemptions/' + code + '/use', {},
+            function(err, res) {
+              assert.ifError(err);
+              assert.strictEqual(res.status, 409);
+              checkLedger();
+            });
+        });
+    }
+
+    function checkLedger() {
+      harness.admin('GET', '/loyalty/ledger?memberId=' + memberId, undefined,
+        function(err, res) {
+          assert.ifError(err);
+          assert.deepStrictEqual(res.body.map(function(entry) {
+            return [entry.reason, entry.points, entry.balance];
+          }), [['order', 160, 160], ['reward', -100, 60]]);
+          done();
+        });
+    }
+  });
+});
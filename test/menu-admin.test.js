@@ -0,0 +1,149 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  menu = require('../lib/menu');
+
+const MENU_FILE = path.join(__dirname, '..', 'config', 'menu.json');
+
+describe('admin menu API', function() {
+  var menuFileBefore;
+  var orderBefore;
+
+  before(function(done) {
+    harness.start(function(err) {
+      assert.ifError(err);
+      menuFileBefore = fs.readFileSync(MENU_FILE, 'utf8');
+      orderBefore = menu.getItems().map(function(item) {
+        return item.id;
+      });
+      done();
+    });
+  });
+
+  after(function(done) {
+    harness.admin('PUT', '/items/order', { ids: orderBefore },
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 200);
+        done();
+      });
+  });
+
+  function overrides() {
+    return JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR,
+      'menu-overrides.json'), 'utf8'));
+  }
+
+  it('creates, updates and retires items', function(done) {
+    harness.admin('POST', '/items', {
+      title: 'Baklava Cheesecake',
+      categoryId: 'desserts',
+      price: 5.5
+    }, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, 201);
+      assert.strictEqual(res.body.id, 'baklava-cheesecake');
+
+      harness.admin('PATCH', '/items/baklava-cheesecake', { price: 6 },
+        function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body.price, 6);
+
+          harness.admin('DELETE', '/items/baklava-cheesecake', undefined,
+            function(err, res) {
+              assert.ifError(err);
+              assert.strictEqual(res.status, 200);
+              assert.strictEqual(res.body.retired, true);
+
+              harness.admin('GET', '/items/baklava-cheesecake', undefined,
+                function(err, res) {
+                  assert.ifError(err);
+                  assert.strictEqual(res.body.price, 6);
+                  assert.strictEqual(res.body.retired, true);
+                  done();
+                });
+            });
+        });
+    });
+  });
+
+  it('refuses invalid and unknown items', function(done) {
+    harness.admin('POST', '/items', { categoryId: 'desserts' },
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 400);
+
+        harness.admin('PATCH', '/items/no-such-item', { price: 1 },
+          function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.status, 404);
+            done();
+          });
+      });
+  });
+
+  it('reorders items', function(done) {
+    harness.admin('PUT', '/items/order', { ids: ['moussaka', 'deli-wrap-tray'] },
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.slice(0, 2).map(function(item) {
+          return item.id;
+        }), ['moussaka', 'deli-wrap-tray']);
+
+        harness.admin('PUT', '/items/order', { ids: ['moussaka', 'nope'] },
+          function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.status, 404);
+            assert.strictEqual(menu.getItems()[0].id, 'moussaka');
+            done();
+          });
+      });
+  });
+
+  it('replaces the items of a special list', function(done) {
+    var party = menu.getItemsByTag('party').map(function(item) {
+      return item.id;
+    });
+
+    harness.admin('PUT', '/specials/party', { ids: ['deli-wrap-tray'] },
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.map(function(item) {
+          return item.id;
+        }), ['deli-wrap-tray']);
+
+        harness.admin('PUT', '/specials/party', { ids: party },
+          function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.length, party.length);
+
+            harness.admin('PUT', '/specials/brunch', { ids: [] },
+              function(err, res) {
+                assert.ifError(err);
+                assert.strictEqual(res.status, 404);
+                done();
+              });
+          });
+      });
+  });
+
+  it('keeps changes in the data directory, not in the catalog file',
+    function() {
+      assert.strictEqual(fs.readFileSync(MENU_FILE, 'utf8'), menuFileBefore);
+      assert.strictEqual(overrides().items['baklava-cheesecake'].price, 6);
+
+      // Reloading the catalog file, as after a redeploy, keeps them.
+      menu.load(MENU_FILE);
+      assert.strictEqual(menu.getItem('baklava-cheesecake').price, 6);
+      assert.strictEqual(menu.getItems()[0].id, 'moussaka');
+    });
+});
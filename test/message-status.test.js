@@ -0,0 +1,213 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  messageStatus = require('../lib/message-status');
+
+const events = harness.events;
+
+describe('message status', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function send(event, callback) {
+    harness.send(event, function(err) {
+      assert.ifError(err);
+      callback();
+    });
+  }
+
+  function sentMessages(psid, callback) {
+    harness.admin('GET', '/message-status/users/' + psid, undefined,
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 200);
+        callback(res.body);
+      });
+  }
+
+  function statuses(messages) {
+    return messages.map(function(message) {
+      return message.status;
+    });
+  }
+
+  it('follows messages from sent to delivered to read', function(done) {
+    // Messenger's time for each message: when the fake got it, a while
+    // before it answers.
+    var receivedAt = [];
+    harness.graph.on('POST', '/me/messages', function(call) {
+      receivedAt.push(Date.now());
+      return {
+        status: 200,
+        body: {
+          recipient_id: call.body.recipient.id,
+          message_id: 'mid.status.' + receivedAt.length
+        },
+        delayMs: 20
+      };
+    });
+
+    send(events.message(user, 'hours'), function() {
+      sentMessages(user, function(messages) {
+        assert.ok(messages.length >= 2);
+        assert.ok(statuses(messages).every(function(status) {
+          return status === 'sent';
+        }));
+
+        var first = messages[messages.length - 1].messageId;
+        send(events.delivery(user, [first], 1), function() {
+          sentMessages(user, function(messages) {
+            assert.strictEqual(messages.pop().status, 'delivered');
+            assert.ok(statuses(messages).every(function(status) {
+              return status === 'sent';
+            }));
+            read();
+          });
+        });
+      });
+    });
+
+    // Watermarks up to the newest message, at Messenger's time for it.
+    function read() {
+      var watermark = receivedAt[receivedAt.length - 1];
+
+      send(events.read(user, watermark), function() {
+        send(events.delivery(user, [], watermark), function() {
+          sentMessages(user, function(messages) {
+            messages.forEach(function(message) {
+              assert.strictEqual(message.status, 'read');
+              assert.ok(message.deliveredAt <= message.readAt);
+            });
+            done();
+          });
+        });
+      });
+    }
+  });
+
+  it('reports how many campaign messages were read in time', function(done) {
+    var date = '2030-03-03';
+
+    function stats(callback) {
+      harness.admin('GET', '/message-status/campaigns/daily-special?ref=' +
+        date, undefined, function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          callback(res.body);
+        });
+    }
+
+    send(events.message(user, 'send me the daily special every morning'),
+      function() {
+        harness.admin('POST', '/subscriptions/push', { date: date },
+          function(err) {
+            assert.ifError(err);
+            harness.settle(readBroadcast);
+          });
+      });
+
+    function readBroadcast() {
+      sentMessages(user, function(messages) {
+        var broadcast = messages.filter(function(message) {
+          return message.campaign === 'daily-special';
+        });
+        assert.strictEqual(broadcast.length, 2);
+        assert.strictEqual(broadcast[0].ref, date);
+
+        stats(function(before) {
+          assert.strictEqual(before.readWithin.minutes, 60);
+          assert.ok(before.sent >= 2);
+
+          send(events.read(user), function() {
+            stats(function(after) {
+              assert.strictEqual(after.sent, before.sent);
+              assert.strictEqual(after.read, before.read + 2);
+              assert.strictEqual(after.readWithin.count,
+                before.readWithin.count + 2);
+              assert.strictEqual(after.readWithin.share,
+                Math.round(after.readWithin.count / after.sent * 1000) / 1000);
+              done();
+            });
+          });
+        });
+      });
+    }
+  });
+
+  function recordBatch(psid, sentAt) {
+    for (var i = 1; i <= 5; i++) {
+      messageStatus.recordSent({
+        messageId: 'mid.batch.' + psid + '.' + i,
+        psid: psid,
+        sentAt: sentAt - i
+      });
+    }
+  }
+
+  it('appends a line per sent message and per event', function() {
+    var now = Date.now();
+    recordBatch(user, now);
+
+    var appendFileSync = fs.appendFileSync;
+    var appends = 0;
+    fs.appendFileSync = function() {
+      appends++;
+      return appendFileSync.apply(fs, arguments);
+    };
+    try {
+      assert.strictEqual(messageStatus.recordDelivery(user,
+        ['mid.batch.' + user + '.1'], now - 3), 4);
+      assert.strictEqual(messageStatus.recordRead(user, now), 5);
+      assert.strictEqual(messageStatus.recordRead(user, now), 0);
+    } finally {
+      fs.appendFileSync = appendFileSync;
+    }
+
+    assert.strictEqual(appends, 2);
+  });
+
+  it('rebuilds the status from the log after a restart', function() {
+    var file = path.join(process.env.DATA_DIR, 'message-status.jsonl');
+    var old = harness.newUser();
+    var now = Date.now();
+
+    recordBatch(user, now);
+    recordBatch(old, 5000);
+    assert.strictEqual(messageStatus.recordRead(user, now - 3), 3);
+    assert.strictEqual(messageStatus.prune(new Date(10000)), 5);
+
+    // As if the app died halfway through writing a line.
+    fs.appendFileSync(file, '{"type":"read","messageIds":["mid.');
+    messageStatus.init({ dataDir: process.env.DATA_DIR });
+
+    assert.deepStrictEqual(messageStatus.listForUser(user).map(function(message) {
+      return message.status;
+    }), ['sent', 'sent', 'read', 'read', 'read']);
+    assert.deepStrictEqual(messageStatus.listForUser(old), []);
+
+    messageStatus.recordRead(user, now);
+    messageStatus.init({ dataDir: process.env.DATA_DIR });
+    assert.strictEqual(messageStatus.get('mid.batch.' + user + '.1').status,
+      'read');
+  });
+
+  it('rejects a bad read window', function(done) {
+    harness.admin('GET', '/message-status/campaigns/daily-special?' +
+      'readWithinMinutes=soon', undefined, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 400);
+        done();
+      });
+  });
+});
@@ -0,0 +1,115 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  messengerProfile = require('../lib/messenger-profile');
+
+const PROFILE_FILE = path.resolve(__dirname, '../config/messenger-profile.json');
+
+describe('messenger profile setup', function() {
+  var profile;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    profile = messengerProfile.load(PROFILE_FILE);
+
+    // The page has the Get Started button (keys in another order) and an
+    // old greeting, but no menu or domains.
+    harness.graph.on('GET', '/me/messenger_profile', function() {
+      return {
+        status: 200,
+        body: {
+          data: [{
+            get_started: { payload: 'GET_STARTED_BUTTON_PAYLOAD' },
+            greeting: [{ text: 'Hello!', locale: 'default' }]
+          }]
+        }
+      };
+    });
+    harness.graph.on('POST', '/me/messenger_profile', function() {
+      return { status: 200, body: { result: 'success' } };
+    });
+    harness.graph.on('DELETE', '/me/messenger_profile', function() {
+      return { status: 200, body: { result: 'success' } };
+    });
+  });
+
+  function sync(dryRun, callback) {
+    messengerProfile.sync({
+      graphApiUrl: process.env.GRAPH_API_URL,
+      accessToken: 'test-page-access-token',
+      profile: profile,
+      dryRun: dryRun
+    }, function(err, result) {
+      assert.ifError(err);
+      callback(result, harness.graph.calls());
+    });
+  }
+
+  function actions(changes) {
+    return changes.map(function(change) {
+      return change.field + ':' + change.action;
+    });
+  }
+
+  it('only shows the changes in dry run mode', function(done) {
+    sync(true, function(result, calls) {
+      assert.strictEqual(result.applied, false);
+      assert.deepStrictEqual(actions(result.changes), ['get_started:none',
+        'greeting:change', 'persistent_menu:add', 'whitelisted_domains:add']);
+      assert.deepStrictEqual(calls.map(function(call) {
+        return call.method;
+      }), ['GET']);
+      assert.strictEqual(calls[0].query.fields,
+        'get_started,greeting,persistent_menu,whitelisted_domains');
+
+      var text = messengerProfile.formatDiff(result.changes);
+      assert.ok(/^  get_started \(unchanged\)$/m.test(text));
+      assert.ok(/^~ greeting$/m.test(text));
+      assert.ok(/^- +"text": "Hello!"/m.test(text));
+      assert.ok(/^\+ persistent_menu$/m.test(text));
+      done();
+    });
+  });
+
+  it('applies the changed fields', function(done) {
+    profile.get_started = null;
+    delete profile.persistent_menu;
+
+    sync(false, function(result, calls) {
+      assert.strictEqual(result.applied, true);
+
+      var update = calls.find(function(call) {
+        return call.method === 'POST';
+      });
+      assert.deepStrictEqual(Object.keys(update.body),
+        ['greeting', 'whitelisted_domains']);
+      assert.strictEqual(update.query.access_token, 'test-page-access-token');
+
+      var removal = calls.find(function(call) {
+        return call.method === 'DELETE';
+      });
+      assert.deepStrictEqual(removal.body, { fields: ['get_started'] });
+      done();
+    });
+  });
+
+  it('rejects profiles Messenger would refuse', function() {
+    assert.strictEqual(messengerProfile.validate({
+      persistent_menu: [{ locale: 'default', call_to_actions: [] }]
+    }), "persistent_menu needs the get_started button");
+    assert.strictEqual(messengerProfile.validate({
+      greeting: [{ locale: 'default', text: new Array(162).join('a') }]
+    }), "The default greeting must be a text of at most 160 characters");
+    assert.strictEqual(messengerProfile.validate({
+      whitelisted_domains: ['http://www.famousgreeksalads.com']
+    }), "whitelisted_domains must be a list of https:// origins");
+    assert.strictEqual(messengerProfile.validate({ home_url: {} }),
+      "Unknown field(s): home_url");
+  });
+});
@@ -0,0 +1,149 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness'),
+  orders = require('../lib/orders');
+
+const events = harness.events;
+
+describe('ordering', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function quantityReply(quantity) {
+    return {
+      content_type: 'text',
+      title: String(quantity),
+      payload: 'DEVELOPER_DEFINED_PAYLOAD_CART_QUANTITY?item=moussaka&qty=' +
+        quantity + '&mode=add'
+    };
+  }
+
+  it('shows the menu categories for "menu"', function(done) {
+    harness.send(events.message(user, 'menu'), function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages.length, 1);
+
+      var elements = messages[0].attachment.payload.elements;
+      assert.deepStrictEqual(elements.map(function(element) {
+        return element.title;
+      }), ['Family Meals', 'Soups & Starters', 'Famous Favorites',
+        'Party Salads', 'Party Platters', 'Deserts']);
+      done();
+    });
+  });
+
+  it('adds a dish to the cart and places the order', function(done) {
+    harness.send(events.postback(user,
+      'DEVELOPER_DEFINED_PAYLOAD_ADD_TO_CART?item=moussaka', 'Add to cart'),
+      function(err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(harness.graph.messages(user), [{
+          text: "How many Moussaka?",
+          quick_replies: [1, 2, 3, 4, 5].map(quantityReply)
+        }]);
+
+        harness.send(events.quickReply(user, '2', quantityReply(2).payload),
+          checkout);
+      });
+
+    function checkout(err) {
+      assert.ifError(err);
+      assert.strictEqual(harness.graph.messages(user)[1].text,
+        "You have 2 x Moussaka in your cart.");
+
+      harness.graph.reset();
+      harness.send(events.quickReply(user, 'Checkout',
+        'DEVELOPER_DEFINED_PAYLOAD_CHECKOUT'), function(err) {
+          assert.ifError(err);
+          assert.deepStrictEqual(harness.graph.messages(user), [{
+            text: "2 x Moussaka  $26.98\n\nSubtotal: $26.98\nTax: $1.89\n" +
+              "Total: $28.87\n\nPlace this order?",
+            quick_replies: [{
+              content_type: 'text',
+              title: 'Confirm Order',
+              payload: 'DEVELOPER_DEFINED_PAYLOAD_CONFIRM_ORDER'
+            }, {
+              content_type: 'text',
+              title: 'Edit Cart',
+              payload: 'DEVELOPER_DEFINED_PAYLOAD_VIEW_CART'
+            }]
+          }]);
+
+          harness.graph.reset();
+          harness.send(events.quickReply(user, 'Confirm Order',
+            'DEVELOPER_DEFINED_PAYLOAD_CONFIRM_ORDER'), confirmed);
+        });
+    }
+
+    function confirmed(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages.length, 1);
+
+      var receipt = messages[0].attachment.payload;
+      assert.strictEqual(receipt.template_type, 'receipt');
+      assert.deepStrictEqual(receipt.elements.map(function(element) {
+        return [element.title, element.quantity, element.price];
+      }), [['Moussaka', 2, 26.98]]);
+      assert.deepStrictEqual(receipt.summary,
+        { subtotal: 26.98, total_tax: 1.89, total_cost: 28.87 });
+      done();
+    }
+  });
+
+  it('says so when checking out an empty cart', function(done) {
+    harness.send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_CONFIRM_ORDER'),
+      function(err) {
+        assert.ifError(err);
+
+        var messages = harness.graph.messages(user);
+        assert.strictEqual(messages.length, 1);
+        assert.ok(/empty/i.test(messages[0].text), messages[0].text);
+        done();
+      });
+  });
+
+  it('takes items retired since they were added out of the cart',
+    function(done) {
+      harness.admin('POST', '/items', {
+        id: 'loukoumades',
+        title: 'Loukoumades',
+        categoryId: 'desserts',
+        price: 4.5
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 201);
+
+        harness.send(events.quickReply(user, '1', 'DEVELOPER_DEFINED_PAYLOAD_' +
+          'CART_QUANTITY?item=loukoumades&qty=1&mode=add'), function(err) {
+            assert.ifError(err);
+            assert.strictEqual(orders.getCart(user).items.length, 1);
+
+            harness.admin('DELETE', '/items/loukoumades', undefined,
+              function(err, res) {
+                assert.ifError(err);
+                assert.strictEqual(res.status, 200);
+
+                harness.send(events.postback(user, 'DEVELOPER_DEFINED_' +
+                  'PAYLOAD_REMOVE_FROM_CART?item=loukoumades'), function(err) {
+                    assert.ifError(err);
+                    assert.deepStrictEqual(orders.getCart(user).items, []);
+                    done();
+                  });
+              });
+          });
+      });
+    });
+});
@@ -0,0 +1,105 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+describe('user profiles', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function profile(fields) {
+    harness.graph.on('GET', '/' + user, function() {
+      return {
+        status: 200,
+        body: Object.assign({ id: user, locale: 'en_US' }, fields)
+      };
+    });
+  }
+
+  function profileLookups() {
+    return harness.graph.calls().filter(function(call) {
+      return call.method === 'GET' && call.path === '/' + user;
+    });
+  }
+
+  function lastMessage() {
+    return harness.graph.messages(user).pop();
+  }
+
+  // Answer the last question with its first quick reply.
+  function pickFirst(callback) {
+    var reply = lastMessage().quick_replies[0];
+    harness.send(events.quickReply(user, reply.title, reply.payload), callback);
+  }
+
+  it('greets the user by name and welcomes them back', function(done) {
+    profile({ first_name: 'Maria', timezone: -4 });
+
+    harness.send(events.message(user, 'hello'), function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages[0].attachment.payload.elements[0].title,
+        'Maria, welcome to Famous Greek');
+      assert.strictEqual(messages[1].text,
+        "Hi Maria, we're happy to see you!");
+
+      harness.send(events.message(user, 'hello'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(lastMessage().text, 'Welcome back, Maria!');
+        assert.strictEqual(profileLookups().length, 1);
+        done();
+      });
+    });
+  });
+
+  it('still answers when the profile call fails', function(done) {
+    harness.graph.on('GET', '/' + user, function() {
+      return { status: 500, body: { error: { message: 'Oops' } } };
+    });
+
+    harness.send(events.message(user, 'hello'), function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages[0].attachment.payload.elements[0].title,
+        'Welcome to Famous Greek ');
+      assert.strictEqual(messages[1].text, "Hi, We'r happy to see u..");
+      done();
+    });
+  });
+
+  it('confirms a reservation by name in the user\'s time', function(done) {
+    profile({ first_name: 'Maria', timezone: -7 });
+
+    harness.send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_BOOK_TABLE'),
+      function(err) {
+        assert.ifError(err);
+        pickFirst(function(err) {
+          assert.ifError(err);
+          pickFirst(function(err) {
+            assert.ifError(err);
+            pickFirst(function(err) {
+              assert.ifError(err);
+              pickFirst(function(err) {
+                assert.ifError(err);
+                assert.ok(/^You're booked, Maria! Table for 1 .* That's \d\d:\d\d[AP]M your time\.$/
+                  .test(lastMessage().text), lastMessage().text);
+                done();
+              });
+            });
+          });
+        });
+      });
+  });
+});
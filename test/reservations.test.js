@@ -0,0 +1,135 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness'),
+  payloads = require('../lib/payload'),
+  reservations = require('../lib/reservations');
+
+const events = harness.events;
+
+describe('table reservations', function() {
+  var user;
+  var picked;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+    picked = {};
+  });
+
+  function lastMessage() {
+    return harness.graph.messages(user).pop();
+  }
+
+  // Answer the last question with one of its quick replies.
+  function pick(index, callback) {
+    var reply = lastMessage().quick_replies[index];
+    Object.assign(picked, payloads.decode(reply.payload).params);
+    harness.send(events.quickReply(user, reply.title, reply.payload), callback);
+  }
+
+  // Start a booking and pick the last day offered and one of its times.
+  function pickSlot(timeIndex, callback) {
+    harness.send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_BOOK_TABLE'),
+      function(err) {
+        assert.ifError(err);
+        pick(lastMessage().quick_replies.length - 1, function(err) {
+          assert.ifError(err);
+          pick(timeIndex, function(err) {
+            assert.ifError(err);
+            assert.strictEqual(lastMessage().text, "How many guests?");
+            callback();
+          });
+        });
+      });
+  }
+
+  // Book the picked slot for other guests until only "left" seats remain.
+  function fillSlot(left) {
+    var time = parseInt(picked.time, 10);
+    var slot = reservations.getSlots(picked.date).find(function(slot) {
+      return slot.time === time;
+    });
+
+    for (var remaining = slot.remaining; remaining > left;) {
+      var partySize = Math.min(10, remaining - left);
+      assert.ok(reservations.book({
+        senderID: harness.newUser(),
+        date: picked.date,
+        time: time,
+        partySize: partySize
+      }).reservation);
+      remaining -= partySize;
+    }
+  }
+
+  it('books a table', function(done) {
+    pickSlot(10, function() {
+      pick(1, function(err) {
+        assert.ifError(err);
+        assert.ok(/^Table for 2 .*\. Shall I book it\?$/
+          .test(lastMessage().text), lastMessage().text);
+
+        pick(0, function(err) {
+          assert.ifError(err);
+          assert.ok(/^You're booked! Table for 2 /.test(lastMessage().text),
+            lastMessage().text);
+          assert.strictEqual(reservations.getUpcoming(user).length, 1);
+          done();
+        });
+      });
+    });
+  });
+
+  it('refuses parties bigger than the seats left', function(done) {
+    pickSlot(9, function() {
+      fillSlot(3);
+
+      harness.send(events.message(user, '10'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(lastMessage().text, "Sorry, we can seat up to 3 " +
+          "guests at that time. For bigger groups please give us a call at " +
+          "+17277974998. How many guests?");
+        assert.strictEqual(lastMessage().quick_replies.length, 3);
+        assert.deepStrictEqual(reservations.getUpcoming(user), []);
+        done();
+      });
+    });
+  });
+
+  it('asks for another time when the slot fills up before confirming',
+    function(done) {
+      pickSlot(8, function() {
+        pick(3, function(err) {
+          assert.ifError(err);
+          fillSlot(0);
+
+          pick(0, function(err) {
+            assert.ifError(err);
+            assert.strictEqual(lastMessage().text,
+              "Sorry, that time just filled up. Please pick another time.");
+            assert.ok(lastMessage().quick_replies.every(function(reply) {
+              return reply.payload !== 'DEVELOPER_DEFINED_PAYLOAD_' +
+                'RESERVATION_TIME?time=' + picked.time;
+            }));
+            assert.deepStrictEqual(reservations.getUpcoming(user), []);
+            done();
+          });
+        });
+      });
+    });
+
+  it('starts over when an old answer comes in', function(done) {
+    harness.send(events.quickReply(user, '2',
+      'DEVELOPER_DEFINED_PAYLOAD_RESERVATION_SIZE?size=2'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(lastMessage().text,
+          "Let's start your booking again. Which day?");
+        done();
+      });
+  });
+});
@@ -0,0 +1,162 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+describe('reviews', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function texts() {
+    return harness.graph.messages(user).map(function(message) {
+      return message.text;
+    });
+  }
+
+  function replyTitles(message) {
+    return message.quick_replies.map(function(reply) {
+      return reply.title;
+    });
+  }
+
+  function leaveReview(stars, text, callback) {
+    harness.send(events.message(user, 'I want to leave a review'),
+      function(err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(replyTitles(harness.graph.messages(user)[0]),
+          ['★★★★★', '★★★★☆', '★★★☆☆', '★★☆☆☆', '★☆☆☆☆']);
+
+        harness.send(events.quickReply(user, String(stars),
+          'DEVELOPER_DEFINED_PAYLOAD_REVIEW_RATING?stars=' + stars),
+          function(err) {
+            assert.ifError(err);
+            harness.send(events.message(user, text), callback);
+          });
+      });
+  }
+
+  function pendingReview(text) {
+    return function(review) {
+      return review.text === text;
+    };
+  }
+
+  it('pages through the approved reviews', function(done) {
+    harness.send(events.message(user, 'reviews'), function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      var last = messages[messages.length - 1];
+      assert.ok(/^Christina R\.\n/.test(messages[0].text) ||
+        /^Rated /.test(messages[0].text), messages[0].text);
+      assert.deepStrictEqual(replyTitles(last),
+        ['More Reviews', 'Leave a Review', 'Start Over']);
+
+      harness.graph.reset();
+      harness.send(events.quickReply(user, 'More Reviews',
+        last.quick_replies[0].payload), function(err) {
+          assert.ifError(err);
+          assert.ok(harness.graph.messages(user).length >= 1);
+          done();
+        });
+    });
+  });
+
+  it('queues a review for moderation and shows it once approved',
+    function(done) {
+      var text = "Best moussaka in town " + user;
+
+      leaveReview(4, text, function(err) {
+        assert.ifError(err);
+        assert.strictEqual(texts().pop(), "Thank you for your review! It " +
+          "will show up once our team has had a look at it.");
+
+        harness.admin('GET', '/reviews?status=pending', undefined,
+          function(err, res) {
+            assert.ifError(err);
+
+            var review = res.body.find(pendingReview(text));
+            assert.strictEqual(review.rating, 4);
+            assert.strictEqual(review.senderID, user);
+
+            harness.admin('POST', '/reviews/' + review.id + '/approve',
+              undefined, function(err, res) {
+                assert.ifError(err);
+                assert.strictEqual(res.body.status, 'approved');
+
+                harness.graph.reset();
+                harness.send(events.postback(user,
+                  'DEVELOPER_DEFINED_PAYLOAD_REVIEWS'), function(err) {
+                    assert.ifError(err);
+
+                    var shown = texts();
+                    assert.ok(/^Rated \d(\.\d)? out of 5 by \d+ customers?/
+                      .test(shown[0]), shown[0]);
+                    assert.strictEqual(shown[1],
+                      "Messenger guest ★★★★☆\n" + text);
+                    done();
+                  });
+              });
+          });
+      });
+    });
+
+  it('never shows rejected reviews', function(done) {
+    var text = "Spam spam spam " + user;
+
+    leaveReview(1, text, function(err) {
+      assert.ifError(err);
+
+      harness.admin('GET', '/reviews?status=pending', undefined,
+        function(err, res) {
+          assert.ifError(err);
+
+          var review = res.body.find(pendingReview(text));
+          harness.admin('POST', '/reviews/' + review.id + '/reject', undefined,
+            function(err, res) {
+              assert.ifError(err);
+              assert.strictEqual(res.body.status, 'rejected');
+
+              harness.graph.reset();
+              harness.send(events.message(user, 'reviews'), function(err) {
+                assert.ifError(err);
+                assert.ok(texts().every(function(shown) {
+                  return shown.indexOf(text) === -1;
+                }));
+                done();
+              });
+            });
+        });
+    });
+  });
+
+  it('can be cancelled before writing the text', function(done) {
+    harness.send(events.quickReply(user, '5',
+      'DEVELOPER_DEFINED_PAYLOAD_REVIEW_RATING?stars=5'), function(err) {
+        assert.ifError(err);
+
+        harness.send(events.quickReply(user, 'Cancel',
+          'DEVELOPER_DEFINED_PAYLOAD_ABANDON_REVIEW'), function(err) {
+            assert.ifError(err);
+
+            harness.graph.reset();
+            harness.send(events.message(user, 'menu'), function(err) {
+              assert.ifError(err);
+              assert.strictEqual(harness.graph.messages(user)[0].attachment
+                .payload.elements[0].title, 'Family Meals');
+              done();
+            });
+          });
+      });
+  });
+});
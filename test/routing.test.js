@@ -0,0 +1,128 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+describe('routing', function() {
+  var user;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+  });
+
+  function typingIndicators() {
+    return harness.graph.calls().filter(function(call) {
+      return call.path === '/me/messages' &&
+        call.body.recipient.id === user && call.body.sender_action;
+    }).length;
+  }
+
+  it('answers a button and a quick reply with the same payload alike',
+    function(done) {
+      harness.send(events.postback(user,
+        'DEVELOPER_DEFINED_PAYLOAD_FOR_TESTIMONALS'), function(err) {
+          assert.ifError(err);
+          var fromPostback = harness.graph.messages(user);
+          assert.strictEqual(typingIndicators(), 1);
+
+          harness.graph.reset();
+          harness.send(events.quickReply(user, 'Testimonials',
+            'DEVELOPER_DEFINED_PAYLOAD_FOR_TESTIMONALS'), function(err) {
+              assert.ifError(err);
+              assert.deepStrictEqual(harness.graph.messages(user),
+                fromPostback);
+              assert.strictEqual(typingIndicators(), 1);
+              done();
+            });
+        });
+    });
+
+  it('routes typed intents to the same action as the button', function(done) {
+    harness.send(events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_FOR_MENU'),
+      function(err) {
+        assert.ifError(err);
+        var fromPostback = harness.graph.messages(user);
+
+        harness.graph.reset();
+        harness.send(events.message(user, 'show me the menu'), function(err) {
+          assert.ifError(err);
+          assert.deepStrictEqual(harness.graph.messages(user), fromPostback);
+          done();
+        });
+      });
+  });
+
+  it('asks which intent was meant when two match as well', function(done) {
+    harness.send(events.message(user, 'hours location'), function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages.length, 1);
+      assert.strictEqual(messages[0].text,
+        "Sorry, I'm not sure I got that. Did you mean:");
+      assert.deepStrictEqual(messages[0].quick_replies.map(function(reply) {
+        return reply.payload;
+      }), [
+        'DEVELOPER_DEFINED_PAYLOAD_INTENT?name=hours',
+        'DEVELOPER_DEFINED_PAYLOAD_INTENT?name=location',
+        'DEVELOPER_DEFINED_PAYLOAD_START_OVER'
+      ]);
+      done();
+    });
+  });
+
+  it('runs the intent picked from a clarifying question', function(done) {
+    harness.send(events.quickReply(user, 'Menu',
+      'DEVELOPER_DEFINED_PAYLOAD_INTENT?name=menu'), function(err) {
+        assert.ifError(err);
+
+        var messages = harness.graph.messages(user);
+        assert.strictEqual(messages.length, 1);
+        assert.strictEqual(messages[0].attachment.payload.elements[0].title,
+          'Family Meals');
+        done();
+      });
+  });
+
+  it('answers the back button of the special carousels', function(done) {
+    harness.send(events.postback(user,
+      'DEVELOPER_DEFINED_PAYLOAD_FOR_DAILY_SPECIAL_BACK'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(harness.graph.messages(user).length, 1);
+        assert.ok(harness.graph.messages(user)[0].quick_replies);
+        done();
+      });
+  });
+
+  it('reports unknown payloads and sends the welcome card', function(done) {
+    harness.send([
+      events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_RETIRED?page=2'),
+      events.postback(user, 'DEVELOPER_DEFINED_PAYLOAD_RETIRED')
+    ], function(err) {
+      assert.ifError(err);
+
+      var messages = harness.graph.messages(user);
+      assert.strictEqual(messages.length, 2);
+      assert.strictEqual(messages[0].attachment.payload.template_type,
+        'generic');
+
+      harness.admin('GET', '/unknown-payloads', undefined, function(err, res) {
+        assert.ifError(err);
+
+        var entry = res.body.find(function(entry) {
+          return entry.payload === 'DEVELOPER_DEFINED_PAYLOAD_RETIRED';
+        });
+        assert.strictEqual(entry.count, 2);
+        assert.strictEqual(entry.lastSource, 'postback');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness'),
+  sendQueue = require('../lib/send-queue');
+
+const events = harness.events;
+
+describe('send queue', function() {
+  var sent;
+
+  beforeEach(function() {
+    sent = [];
+  });
+
+  function message(recipientId, text) {
+    return { recipient: { id: recipientId }, message: { text: text } };
+  }
+
+  // A Send API that answers later calls sooner, the way out of order
+  // deliveries happen.
+  function createQueue(pacingMs) {
+    var delay = 30;
+
+    return sendQueue.createSendQueue({
+      pacingMs: pacingMs,
+      send: function(messageData, callback) {
+        delay = Math.max(0, delay - 10);
+        setTimeout(function() {
+          sent.push({
+            recipientId: messageData.recipient.id,
+            what: messageData.sender_action || messageData.message.text,
+            at: Date.now()
+          });
+          callback(null, { message_id: 'mid.' + sent.length });
+        }, delay);
+      }
+    });
+  }
+
+  function sentTo(recipientId) {
+    return sent.filter(function(entry) {
+      return entry.recipientId === recipientId;
+    }).map(function(entry) {
+      return entry.what;
+    });
+  }
+
+  it('keeps the messages to each recipient in order', function(done) {
+    var queue = createQueue(0);
+
+    ['one', 'two', 'three'].forEach(function(text) {
+      queue.enqueue(message('alice', text));
+      queue.enqueue(message('bob', text));
+    });
+
+    queue.onIdle(function() {
+      assert.deepStrictEqual(sentTo('alice'), ['one', 'two', 'three']);
+      assert.deepStrictEqual(sentTo('bob'), ['one', 'two', 'three']);
+      done();
+    });
+  });
+
+  it('paces consecutive messages with a typing indicator', function(done) {
+    var queue = createQueue(50);
+    var results = [];
+
+    queue.enqueue(message('alice', 'one'), function(err, body) {
+      results.push(body.message_id);
+    });
+    queue.enqueue(message('alice', 'two'));
+    queue.enqueue(message('bob', 'one'));
+
+    queue.onIdle(function() {
+      assert.deepStrictEqual(sentTo('alice'), ['one', 'typing_on', 'two']);
+      assert.deepStrictEqual(sentTo('bob'), ['one']);
+      assert.strictEqual(results.length, 1);
+
+      var alice = sent.filter(function(entry) {
+        return entry.recipientId === 'alice';
+      });
+      assert.ok(alice[2].at - alice[1].at >= 45, "Not paced");
+
+      // Bob didn't wait for Alice's pause.
+      var bob = sent.find(function(entry) {
+        return entry.recipientId === 'bob';
+      });
+      assert.ok(bob.at < alice[2].at);
+      done();
+    });
+  });
+
+  describe('in a conversation', function() {
+    before(harness.start);
+
+    it('sends the messages of a reply in order', function(done) {
+      var user = harness.newUser();
+      harness.graph.reset();
+
+      harness.send(events.message(user, 'hello'), function(err) {
+        assert.ifError(err);
+
+        var messages = harness.graph.messages(user);
+        assert.strictEqual(messages[0].attachment.payload.template_type,
+          'generic');
+        assert.strictEqual(messages[1].text, "Hi, We'r happy to see u..");
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  harness = require('./support/harness'),
+  sessions = require('../lib/sessions');
+
+const events = harness.events;
+
+describe('session store', function() {
+  var dir;
+
+  before(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-bot-sessions-'));
+  });
+
+  after(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  ['memory', 'file'].forEach(function(backend) {
+    describe(backend + ' backend', function() {
+      var store;
+
+      beforeEach(function() {
+        store = sessions.createSessionStore({
+          backend: backend,
+          file: path.join(dir, backend + '-' + Date.now() + '.json'),
+          ttl: 60000
+        });
+      });
+
+      it('keeps changes made to the same session at once', function(done) {
+        var pending = 3;
+
+        store.startFlow('user', 'reservation', 'date', finished);
+        store.update('user', { data: { closedNoticeSent: true } }, finished);
+        store.update('user', { data: { notUnderstood: 0 } }, finished);
+
+        function finished(err) {
+          assert.ifError(err);
+          if (--pending) {
+            return;
+          }
+
+          store.get('user', function(err, session) {
+            assert.ifError(err);
+            assert.strictEqual(session.flow, 'reservation');
+            assert.deepStrictEqual(session.data,
+              { closedNoticeSent: true, notUnderstood: 0 });
+            done();
+          });
+        }
+      });
+
+      it('hands out copies of the stored session', function(done) {
+        store.update('user', { data: { partySize: 2 } }, function(err, session) {
+          assert.ifError(err);
+          session.data.partySize = 12;
+
+          store.get('user', function(err, loaded) {
+            assert.ifError(err);
+            assert.strictEqual(loaded.data.partySize, 2);
+            loaded.data.partySize = 8;
+
+            store.get('user', function(err, again) {
+              assert.ifError(err);
+              assert.strictEqual(again.data.partySize, 2);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  describe('in a conversation', function() {
+    var user;
+
+    before(harness.start);
+
+    beforeEach(function() {
+      harness.graph.reset();
+      user = harness.newUser();
+    });
+
+    function lastMessage() {
+      return harness.graph.messages(user).pop();
+    }
+
+    function pickFirst(callback) {
+      var reply = lastMessage().quick_replies[0];
+      harness.send(events.quickReply(user, reply.title, reply.payload),
+        function(err) {
+          assert.ifError(err);
+          callback();
+        });
+    }
+
+    it('remembers where the user is in a flow between messages',
+      function(done) {
+        harness.send(events.postback(user,
+          'DEVELOPER_DEFINED_PAYLOAD_BOOK_TABLE'), function(err) {
+            assert.ifError(err);
+            pickFirst(function() {
+              pickFirst(function() {
+                harness.send(events.message(user, '4'), function(err) {
+                  assert.ifError(err);
+                  assert.ok(/^Table for 4 .*\. Shall I book it\?$/
+                    .test(lastMessage().text), lastMessage().text);
+                  done();
+                });
+              });
+            });
+          });
+      });
+
+    it('does not take a number for a party size outside the flow',
+      function(done) {
+        harness.send(events.message(user, '4'), function(err) {
+          assert.ifError(err);
+          assert.ok(harness.graph.messages(user).every(function(message) {
+            return !/^Table for/.test(message.text);
+          }));
+          done();
+        });
+      });
+  });
+});
@@ -0,0 +1,210 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('daily special subscriptions', function() {
+  var user;
+  var day = 0;
+
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+    user = harness.newUser();
+    day++;
+  });
+
+  // A different open day for every test, so pushes don't see each other.
+  function dateKey() {
+    return '2030-01-' + ('0' + day).slice(-2);
+  }
+
+  function subscribe(callback) {
+    harness.send(events.message(user,
+      'send me the daily special every morning'), function(err) {
+        assert.ifError(err);
+        assert.ok(/^You're subscribed!/.test(
+          harness.graph.messages(user)[0].text));
+        harness.graph.reset();
+        callback();
+      });
+  }
+
+  // Push the daily special and wait for the sends that were started.
+  function push(body, callback) {
+    harness.admin('POST', '/subscriptions/push', body, function(err, res) {
+      assert.ifError(err);
+      assert.strictEqual(res.status, body.dryRun ? 200 : 202);
+      harness.settle(function() {
+        callback(res.body);
+      });
+    });
+  }
+
+  function history(callback) {
+    harness.admin('GET', '/subscriptions/history?psid=' + user, undefined,
+      function(err, res) {
+        assert.ifError(err);
+        callback(res.body);
+      });
+  }
+
+  function sentTo(list) {
+    return list.indexOf(user) !== -1;
+  }
+
+  it('sends the daily special to subscribers once a day', function(done) {
+    subscribe(function() {
+      push({ date: dateKey() }, function(summary) {
+        assert.ok(sentTo(summary.sending));
+
+        var calls = harness.graph.calls().filter(function(call) {
+          return call.body.recipient.id === user;
+        });
+        assert.strictEqual(calls.length, 2);
+        assert.ok(/^Good morning!/.test(calls[0].body.message.text));
+        assert.strictEqual(calls[1].body.message.attachment.payload
+          .template_type, 'generic');
+        calls.forEach(function(call) {
+          assert.strictEqual(call.body.messaging_type, 'UPDATE');
+        });
+
+        harness.graph.reset();
+        push({ date: dateKey() }, function(summary) {
+          assert.ok(!sentTo(summary.sending));
+          assert.deepStrictEqual(harness.graph.messages(user), []);
+
+          history(function(entries) {
+            assert.strictEqual(entries.length, 1);
+            assert.strictEqual(entries[0].status, 'sent');
+            assert.strictEqual(entries[0].date, dateKey());
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('only lists recipients in dry run mode', function(done) {
+    subscribe(function() {
+      push({ date: dateKey(), dryRun: true }, function(summary) {
+        assert.strictEqual(summary.dryRun, true);
+        assert.ok(sentTo(summary.wouldSend));
+        assert.deepStrictEqual(summary.sent, []);
+        assert.deepStrictEqual(harness.graph.messages(user), []);
+
+        history(function(entries) {
+          assert.deepStrictEqual(entries, []);
+          done();
+        });
+      });
+    });
+  });
+
+  it('sends once when two pushes run at the same time', function(done) {
+    subscribe(function() {
+      var pending = 2;
+
+      for (var i = 0; i < 2; i++) {
+        harness.admin('POST', '/subscriptions/push', { date: dateKey() },
+          finished);
+      }
+
+      function finished(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 202);
+        if (--pending) {
+          return;
+        }
+
+        harness.settle(function() {
+          assert.strictEqual(harness.graph.messages(user).length, 2);
+          history(function(entries) {
+            assert.strictEqual(entries.length, 1);
+            assert.strictEqual(entries[0].status, 'sent');
+            done();
+          });
+        });
+      }
+    });
+  });
+
+  it('skips days the restaurant is closed', function(done) {
+    subscribe(function() {
+      push({ date: '2030-12-25' }, function(summary) {
+        assert.strictEqual(summary.closed, true);
+        assert.deepStrictEqual(harness.graph.messages(user), []);
+        done();
+      });
+    });
+  });
+
+  it('refuses dates that do not exist', function(done) {
+    harness.admin('POST', '/subscriptions/push', { date: '2030-13-45' },
+      function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 400);
+        assert.strictEqual(res.body.error,
+          "date must be formatted as YYYY-MM-DD");
+        done();
+      });
+  });
+
+  it('skips subscribers outside the messaging window', function(done) {
+    subscribe(function() {
+      var stale = events.message(user, 'thanks');
+      stale.timestamp = Date.now() - 2 * DAY;
+
+      harness.send(stale, function(err) {
+        assert.ifError(err);
+        harness.graph.reset();
+
+        push({ date: dateKey() }, function(summary) {
+          assert.ok(summary.skipped.some(function(entry) {
+            return entry.psid === user &&
+              entry.reason === 'outside_messaging_window';
+          }));
+          assert.deepStrictEqual(harness.graph.messages(user), []);
+          done();
+        });
+      });
+    });
+  });
+
+  it('stops sending after "stop"', function(done) {
+    subscribe(function() {
+      harness.send(events.message(user, 'stop'), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(harness.graph.messages(user)[0].text,
+          "Done, you won't get the daily special any more.");
+
+        harness.graph.reset();
+        push({ date: dateKey() }, function(summary) {
+          assert.ok(!sentTo(summary.sending));
+          assert.deepStrictEqual(harness.graph.messages(user), []);
+          done();
+        });
+      });
+    });
+  });
+
+  it('offers a subscription with the daily special', function(done) {
+    harness.send(events.postback(user,
+      'DEVELOPER_DEFINED_PAYLOAD_FOR_DAILY_SPECIAL'), function(err) {
+        assert.ifError(err);
+
+        var messages = harness.graph.messages(user);
+        assert.strictEqual(messages[messages.length - 1].quick_replies[0]
+          .payload,
+          'DEVELOPER_DEFINED_PAYLOAD_SUBSCRIBE_DAILY_SPECIAL');
+        done();
+      });
+  });
+});
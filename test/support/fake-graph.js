@@ -0,0 +1,154 @@
+/*
+ * Fake Graph API
+ *
+ * A local stand-in for graph.facebook.com. It records every call the bot
+ * makes and answers Send API calls the way Facebook does, so conversations
+ * can be tested offline. Failures can be queued up to test how the bot deals
+ * with errors, and other endpoints can be given canned responses.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  http = require('http'),
+  url = require('url');
+
+// Calls are recorded without the version prefix, e.g. "/me/messages".
+const VERSION = '/v2.6';
+
+function createFakeGraph() {
+  var server = null;
+  var calls = [];
+  var failures = [];
+  var handlers = {};
+  var pending = 0;
+  var messageCount = 0;
+
+  function sendMessage(call) {
+    messageCount++;
+    return {
+      status: 200,
+      body: {
+        recipient_id: call.body.recipient.id,
+        message_id: 'mid.' + messageCount
+      }
+    };
+  }
+
+  function respond(call) {
+    if (call.method === 'POST' && call.path === '/me/messages' &&
+        failures.length) {
+      return failures.shift();
+    }
+
+    var handler = handlers[call.method + ' ' + call.path];
+    if (handler) {
+      return handler(call);
+    }
+
+    if (call.method === 'POST' && call.path === '/me/messages') {
+      return sendMessage(call);
+    }
+
+    return {
+      status: 404,
+      body: { error: { message: "Unknown path " + call.path, code: 803 } }
+    };
+  }
+
+  function handleRequest(req, res) {
+    var chunks = [];
+    pending++;
+
+    req.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+
+    req.on('end', function() {
+      var parsed = url.parse(req.url, true);
+      var text = Buffer.concat(chunks).toString();
+      var call = {
+        method: req.method,
+        path: parsed.pathname.replace(VERSION, ''),
+        query: parsed.query,
+        body: text ? JSON.parse(text) : null
+      };
+      calls.push(call);
+
+      var response = respond(call);
+      var reply = function() {
+        res.writeHead(response.status,
+          { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response.body));
+        pending--;
+      };
+
+      if (response.delayMs) {
+        setTimeout(reply, response.delayMs);
+      } else {
+        reply();
+      }
+    });
+  }
+
+  function start(callback) {
+    server = http.createServer(handleRequest);
+    server.listen(0, '127.0.0.1', function() {
+      callback(null, 'http://127.0.0.1:' + server.address().port + VERSION);
+    });
+  }
+
+  function stop(callback) {
+    server.closeAllConnections();
+    server.close(callback);
+  }
+
+  /*
+   * Make the next Send API call(s) fail with the given Graph error, e.g.
+   * { code: 613, message: "..." }, and HTTP status (400 by default).
+   *
+   */
+  function failNext(error, options) {
+    options = options || {};
+    for (var i = 0; i < (options.times || 1); i++) {
+      failures.push({ status: options.status || 400, body: { error: error } });
+    }
+  }
+
+  // Answer "METHOD /path" with handler(call), which returns { status, body }
+  // and, to answer late, delayMs.
+  function on(method, path, handler) {
+    handlers[method + ' ' + path] = handler;
+  }
+
+  // The messages (not sender actions) sent to a recipient, in order.
+  function messages(recipientId) {
+    return calls.filter(function(call) {
+      return call.path === '/me/messages' &&
+        call.body.recipient.id === recipientId && call.body.message;
+    }).map(function(call) {
+      return call.body.message;
+    });
+  }
+
+  function reset() {
+    calls = [];
+    failures = [];
+    handlers = {};
+  }
+
+  return {
+    start: start,
+    stop: stop,
+    failNext: failNext,
+    on: on,
+    messages: messages,
+    reset: reset,
+    calls: function() { return calls; },
+    pending: function() { return pending; }
+  };
+}
+
+module.exports = createFakeGraph;
@@ -0,0 +1,287 @@
+/*
+ * Webhook Test Harness
+ *
+ * Runs the app against the fake Graph API (see fake-graph.js) with the test
+ * config (config/test.json) and a throwaway data directory. Tests post
+ * correctly signed webhook events built with the helpers below, wait for the
+ * bot to finish replying and assert on the messages recorded by the fake.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const
+  createFakeGraph = require('./fake-graph'),
+  crypto = require('crypto'),
+  fs = require('fs'),
+  http = require('http'),
+  os = require('os'),
+  path = require('path');
+
+const PAGE_ID = 'PAGE_ID';
+
+// How long the bot must stay quiet before a reply counts as complete.
+const QUIET_MS = 50;
+
+var graph = createFakeGraph();
+var dataDir = null;
+var server = null;
+var appSecret = null;
+var adminToken = null;
+var sequence = 0;
+
+/*
+ * Start the fake Graph API and the app. The app can only be loaded once per
+ * process, so every test file shares the same instance; starting again is a
+ * no-op. The root hook in hooks.js stops everything after the last test.
+ *
+ */
+function start(callback) {
+  if (server) {
+    process.nextTick(callback);
+    return;
+  }
+
+  graph.start(function(err, graphApiUrl) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'messenger-bot-test-'));
+    process.env.NODE_ENV = 'test';
+    process.env.GRAPH_API_URL = graphApiUrl;
+    process.env.DATA_DIR = dataDir;
+
+    var app = require('../../app');
+    var config = require('config');
+    appSecret = config.get('appSecret');
+    adminToken = config.get('adminToken');
+
+    server = app.listen(0, '127.0.0.1', callback);
+  });
+}
+
+function stop(callback) {
+  if (!server) {
+    process.nextTick(callback);
+    return;
+  }
+
+  server.closeAllConnections();
+  server.close(function() {
+    server = null;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    graph.stop(callback);
+  });
+}
+
+// A page-scoped ID no other test has used, so tests don't share state.
+function newUser() {
+  sequence++;
+  return 'USER_' + sequence;
+}
+
+function sign(body) {
+  return 'sha1=' + crypto.createHmac('sha1', appSecret).update(body)
+    .digest('hex');
+}
+
+/*
+ * Make an HTTP request to the app. Options: headers, body (a string is sent
+ * as is, anything else as JSON). Calls back with { status, headers, body },
+ * the body parsed if it is JSON.
+ *
+ */
+function request(method, urlPath, options, callback) {
+  var body = options.body;
+  var headers = Object.assign({}, options.headers);
+
+  if (body !== undefined && typeof body !== 'string') {
+    body = JSON.stringify(body);
+    headers['Content-Type'] = 'application/json';
+  }
+
+  var req = http.request({
+    host: '127.0.0.1',
+    port: server.address().port,
+    method: method,
+    path: urlPath,
+    headers: headers
+  }, function(res) {
+    var chunks = [];
+    res.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    res.on('end', function() {
+      var text = Buffer.concat(chunks).toString();
+      var parsed = text;
+      if (/json/.test(res.headers['content-type'])) {
+        parsed = JSON.parse(text);
+      }
+      callback(null, {
+        status: res.statusCode,
+        headers: res.headers,
+        body: parsed
+      });
+    });
+  });
+
+  req.on('error', callback);
+  req.end(body);
+}
+
+// Request to the admin API, authenticated with the test admin token.
+function admin(method, urlPath, body, callback) {
+  request(method, '/admin/api' + urlPath, {
+    headers: { Authorization: 'Bearer ' + adminToken },
+    body: body
+  }, callback);
+}
+
+/*
+ * Wait until the bot has stopped calling the Graph API: no request in flight
+ * and none made for QUIET_MS.
+ *
+ */
+function settle(callback) {
+  var count = graph.calls().length;
+
+  setTimeout(function() {
+    if (graph.pending() || graph.calls().length !== count) {
+      settle(callback);
+      return;
+    }
+
+    callback();
+  }, QUIET_MS);
+}
+
+/*
+ * Post messaging events (one or an array) to the webhook in a single signed
+ * page entry, then wait for the bot to finish replying. Calls back with the
+ * webhook response.
+ *
+ */
+function send(events, callback) {
+  var body = JSON.stringify({
+    object: 'page',
+    entry: [{
+      id: PAGE_ID,
+      time: Date.now(),
+      messaging: [].concat(events)
+    }]
+  });
+
+  request('POST', '/webhook', {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Hub-Signature': sign(body)
+    },
+    body: body
+  }, function(err, res) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    settle(function() {
+      callback(null, res);
+    });
+  });
+}
+
+/*
+ * Messaging event builders, shaped like the callbacks Facebook sends.
+ * https://developers.facebook.com/docs/messenger-platform/webhook-reference
+ *
+ */
+function event(senderId, fields) {
+  return Object.assign({
+    sender: { id: senderId },
+    recipient: { id: PAGE_ID },
+    timestamp: Date.now()
+  }, fields);
+}
+
+function nextMid() {
+  sequence++;
+  return 'mid.incoming.' + sequence;
+}
+
+var events = {
+  message: function(senderId, text) {
+    return event(senderId, {
+      message: { mid: nextMid(), seq: sequence, text: text }
+    });
+  },
+
+  quickReply: function(senderId, text, payload) {
+    return event(senderId, {
+      message: {
+        mid: nextMid(),
+        seq: sequence,
+        text: text,
+        quick_reply: { payload: payload }
+      }
+    });
+  },
+
+  attachment: function(senderId, type, attachmentPayload) {
+    return event(senderId, {
+      message: {
+        mid: nextMid(),
+        seq: sequence,
+        attachments: [{ type: type, payload: attachmentPayload }]
+      }
+    });
+  },
+
+  postback: function(senderId, payload, title) {
+    return event(senderId, {
+      postback: { title: title || payload, payload: payload }
+    });
+  },
+
+  delivery: function(senderId, mids, watermark) {
+    return event(senderId, {
+      delivery: { mids: mids, watermark: watermark || Date.now(), seq: 0 }
+    });
+  },
+
+  read: function(senderId, watermark) {
+    return event(senderId, {
+      read: { watermark: watermark || Date.now(), seq: 0 }
+    });
+  },
+
+  optin: function(senderId, ref) {
+    return event(senderId, {
+      optin: { ref: ref }
+    });
+  },
+
+  accountLinking: function(senderId, status, authorizationCode) {
+    var accountLinking = { status: status };
+    if (authorizationCode) {
+      accountLinking.authorization_code = authorizationCode;
+    }
+
+    return event(senderId, { account_linking: accountLinking });
+  }
+};
+
+module.exports = {
+  PAGE_ID: PAGE_ID,
+  graph: graph,
+  start: start,
+  stop: stop,
+  newUser: newUser,
+  sign: sign,
+  request: request,
+  admin: admin,
+  settle: settle,
+  send: send,
+  events: events
+};
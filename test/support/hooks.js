@@ -0,0 +1,18 @@
+/*
+ * Root Hooks
+ *
+ * Loaded by mocha before the test files (see the "test" script). Shuts the
+ * shared app and fake Graph API down once every test has run.
+ *
+ */
+
+/* jshint node: true, devel: true */
+'use strict';
+
+const harness = require('./harness');
+
+exports.mochaHooks = {
+  afterAll: function(done) {
+    harness.stop(done);
+  }
+};
@@ -0,0 +1,187 @@
+/* jshint node: true, devel: true, mocha: true */
+'use strict';
+
+const
+  assert = require('assert'),
+  harness = require('./support/harness');
+
+const events = harness.events;
+
+describe('webhook', function() {
+  before(harness.start);
+
+  beforeEach(function() {
+    harness.graph.reset();
+  });
+
+  describe('subscription', function() {
+    it('echoes the challenge for the right validation token', function(done) {
+      harness.request('GET', '/webhook?hub.mode=subscribe&' +
+        'hub.verify_token=test-validation-token&hub.challenge=42', {},
+        function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.strictEqual(res.body, '42');
+          done();
+        });
+    });
+
+    it('refuses a wrong validation token', function(done) {
+      harness.request('GET', '/webhook?hub.mode=subscribe&' +
+        'hub.verify_token=wrong&hub.challenge=42', {}, function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 403);
+          done();
+        });
+    });
+  });
+
+  describe('signature', function() {
+    it('rejects events signed with another secret', function(done) {
+      var user = harness.newUser();
+      var body = JSON.stringify({
+        object: 'page',
+        entry: [{
+          id: harness.PAGE_ID,
+          time: Date.now(),
+          messaging: [events.message(user, 'menu')]
+        }]
+      });
+
+      harness.request('POST', '/webhook', {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Hub-Signature': 'sha1=0123456789abcdef'
+        },
+        body: body
+      }, function(err, res) {
+        assert.ifError(err);
+        assert.strictEqual(res.status, 403);
+
+        harness.settle(function() {
+          assert.deepStrictEqual(harness.graph.messages(user), []);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('events', function() {
+    it('confirms an opt-in from the Send to Messenger plugin', function(done) {
+      var user = harness.newUser();
+
+      harness.send(events.optin(user, 'PASS_THROUGH_PARAM'),
+        function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.deepStrictEqual(harness.graph.messages(user), [
+            { text: "Authentication successful" }
+          ]);
+          done();
+        });
+    });
+
+    it('acknowledges delivery, read and account linking events silently',
+      function(done) {
+        var user = harness.newUser();
+
+        harness.send([
+          events.delivery(user, ['mid.1', 'mid.2']),
+          events.read(user),
+          events.accountLinking(user, 'unlinked')
+        ], function(err, res) {
+          assert.ifError(err);
+          assert.strictEqual(res.status, 200);
+          assert.deepStrictEqual(harness.graph.messages(user), []);
+          done();
+        });
+      });
+
+    it('sends with the page access token', function(done) {
+      var user = harness.newUser();
+
+      harness.send(events.optin(user), function(err) {
+        assert.ifError(err);
+
+        var call = harness.graph.calls()[0];
+        assert.strictEqual(call.method, 'POST');
+        assert.strictEqual(call.path, '/me/messages');
+        assert.strictEqual(call.query.access_token, 'test-page-access-token');
+        done();
+      });
+    });
+  });
+
+  describe('send failures', function() {
+    it('retries rate-limited calls', function(done) {
+      var user = harness.newUser();
+      harness.graph.failNext({ code: 613, message: "Rate limited" });
+
+      harness.send(events.optin(user), function(err) {
+        assert.ifError(err);
+        assert.deepStrictEqual(harness.graph.messages(user), [
+          { text: "Authentication successful" },
+          { text: "Authentication successful" }
+        ]);
+
+        harness.admin('GET', '/dead-letters?recipientId=' + user, undefined,
+          function(err, res) {
+            assert.ifError(err);
+            assert.deepStrictEqual(res.body, []);
+            done();
+          });
+      });
+    });
+
+    it('dead-letters permanent failures without retrying', function(done) {
+      var user = harness.newUser();
+      harness.graph.failNext({
+        code: 10,
+        error_subcode: 2018278,
+        message: "Outside of allowed window"
+      });
+
+      harness.send(events.optin(user), function(err) {
+        assert.ifError(err);
+        assert.strictEqual(harness.graph.messages(user).length, 1);
+
+        harness.admin('GET', '/dead-letters?recipientId=' + user, undefined,
+          function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.body.length, 1);
+            assert.strictEqual(res.body[0].reason, 'outside_messaging_window');
+            assert.strictEqual(res.body[0].attempts, 1);
+            assert.deepStrictEqual(res.body[0].messageData.message,
+              { text: "Authentication successful" });
+            done();
+          });
+      });
+    });
+
+    it('replays a dead letter through the admin API', function(done) {
+      var user = harness.newUser();
+      harness.graph.failNext({ code: 2, message: "Service unavailable" },
+        { status: 500, times: 3 });
+
+      harness.send(events.optin(user), function(err) {
+        assert.ifError(err);
+
+        harness.admin('GET', '/dead-letters?recipientId=' + user, undefined,
+          function(err, res) {
+            assert.ifError(err);
+            assert.strictEqual(res.body.length, 1);
+            assert.strictEqual(res.body[0].attempts, 3);
+
+            harness.admin('POST', '/dead-letters/' + res.body[0].id +
+              '/replay', undefined, function(err, res) {
+                assert.ifError(err);
+                assert.strictEqual(res.status, 200);
+                assert.strictEqual(res.body.sent, true);
+                assert.strictEqual(harness.graph.messages(user).length, 4);
+                done();
+              });
+          });
+      });
+    });
+  });
+});